@@ -0,0 +1,150 @@
+import puppeteer from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+
+puppeteer.use(StealthPlugin());
+
+const userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Creates a pool of headless browsers and pages shared by the scrapers.
+ * Pages are handed out with `acquire` and given back with `release`; a page is
+ * recycled after `maxNavigations` navigations or as soon as it crashes.
+ * @param {{
+ *  pages?: number,
+ *  browsers?: number,
+ *  maxNavigations?: number,
+ *  baseUrl?: string
+ * }} [options={}]
+ */
+export default function createBrowserPool(options = {}) {
+    const pageCount = Math.max(1, options.pages || 1);
+    const browserCount = Math.max(1, Math.min(options.browsers || 1, pageCount));
+    const maxNavigations = options.maxNavigations || 50;
+    const baseUrl = options.baseUrl || 'https://globalsportsarchive.com';
+
+    /** @type {Array<Promise<import('puppeteer').Browser> | null>} */
+    const browsers = new Array(browserCount).fill(null);
+    /** @type {Map<import('puppeteer').Page, { browserIndex: number, navigations: number, crashed: boolean }>} */
+    const slots = new Map();
+    const idlePages = [];
+    const waiting = [];
+    let pending = 0; // Pages being created
+    let isClosed = false;
+
+    /** @param {number} index */
+    function getBrowser(index) {
+        if (!browsers[index]) {
+            browsers[index] = puppeteer.launch({ headless: true, timeout: 60000 * 5 }).then(browser => {
+                browser.on('disconnected', () => {
+                    browsers[index] = null;
+                    slots.forEach(slot => {
+                        if (slot.browserIndex === index) slot.crashed = true;
+                    });
+                });
+                return browser;
+            });
+            // A failed launch must not poison the slot for later attempts
+            browsers[index].catch(() => { browsers[index] = null });
+        }
+        return browsers[index];
+    }
+
+    async function createPage() {
+        // Spread pages evenly over the browsers
+        const counts = new Array(browserCount).fill(0);
+        slots.forEach(slot => counts[slot.browserIndex]++);
+        const browserIndex = counts.indexOf(Math.min(...counts));
+
+        const browser = await getBrowser(browserIndex);
+        const page = await browser.newPage();
+        const slot = { browserIndex, navigations: 0, crashed: false };
+
+        page.on('error', () => { slot.crashed = true });
+        page.on('close', () => { slot.crashed = true });
+        page.on('framenavigated', frame => {
+            if (frame === page.mainFrame()) slot.navigations++;
+        });
+
+        // Set headers to mimic a real browser
+        await page.setUserAgent(userAgent);
+        await page.setExtraHTTPHeaders({
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Referer': baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`
+        });
+
+        slots.set(page, slot);
+        return page;
+    }
+
+    /** @param {import('puppeteer').Page} page */
+    async function destroyPage(page) {
+        slots.delete(page);
+        if (!page.isClosed()) await page.close().catch(() => null);
+    }
+
+    const pool = {
+        /**
+         * Waits for a free page
+         * @returns {Promise<import('puppeteer').Page>}
+         */
+        async acquire() {
+            if (isClosed) throw new Error('Browser pool is closed');
+            if (idlePages.length) return idlePages.pop();
+            if (slots.size + pending < pageCount) {
+                pending++;
+                try { return await createPage() }
+                finally { pending-- }
+            }
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+
+        /**
+         * Gives a page back to the pool, recycling it when it is worn out or broken
+         * @param {import('puppeteer').Page} page
+         */
+        async release(page) {
+            const slot = slots.get(page);
+            if (!slot) return;
+
+            if (isClosed || slot.crashed || page.isClosed() || slot.navigations >= maxNavigations) {
+                await destroyPage(page);
+                if (isClosed || !waiting.length) return;
+                const { resolve, reject } = waiting.shift();
+                pending++;
+                try { resolve(await createPage()) }
+                catch (error) { reject(error) }
+                finally { pending-- }
+                return;
+            }
+
+            const next = waiting.shift();
+            next ? next.resolve(page) : idlePages.push(page);
+        },
+
+        /**
+         * Runs a task with a page from the pool and releases the page afterwards
+         * @template T
+         * @param {(page: import('puppeteer').Page) => Promise<T>} task
+         * @returns {Promise<T>}
+         */
+        async withPage(task) {
+            const page = await pool.acquire();
+            try { return await task(page) }
+            finally { await pool.release(page) }
+        },
+
+        /** Closes every page and browser of the pool */
+        async close() {
+            if (isClosed) return;
+            isClosed = true;
+            waiting.splice(0).forEach(({ reject }) => reject(new Error('Browser pool is closed')));
+            idlePages.length = 0;
+            await Promise.all([...slots.keys()].map(destroyPage));
+            const launched = await Promise.all(browsers.map(b => b?.catch(() => null)));
+            await Promise.all(launched.map(browser => browser?.close().catch(() => null)));
+        }
+    };
+
+    return pool;
+}
@@ -0,0 +1,120 @@
+import fs from 'node:fs/promises';
+import { joinPathnames, normalizeFilepath, readJSON, saveJSON } from '../utils/utilities.js';
+import { seasonFileId } from './ids.js';
+import { isUnplayed } from './match_model.js';
+
+/**
+ * Creates a persistent record of finished scraping units, i.e. countries, tournaments,
+ * seasons and gameweeks, stored as checkpoint.json in the data directory.
+ * Units are addressed by their path, e.g. ('England', 'Premier League', '2023/2024', 5)
+ * @param {string} dataDir
+ */
+export default async function createCheckpointStore(dataDir) {
+    const filename = joinPathnames([dataDir, 'checkpoint.json']);
+    const state = await readJSON(filename) || { completed: {} };
+
+    /** @param {Array<string | number>} units */
+    const toKey = (units) => units.map(String).join(' > ');
+
+    async function persist() {
+        state.updatedAt = new Date().toISOString();
+        await saveJSON(filename, state);
+    }
+
+    const store = {
+        /** @param {...(string | number)} units */
+        isCompleted: (...units) => Boolean(state.completed[toKey(units)]),
+
+        /** @param {...(string | number)} units */
+        async markCompleted(...units) {
+            state.completed[toKey(units)] = new Date().toISOString();
+            await persist();
+        },
+
+        /**
+         * Whether anything at or below a unit has been recorded
+         * @param {...(string | number)} units
+         */
+        hasEntries(...units) {
+            const key = toKey(units);
+            return Object.keys(state.completed).some(k => k === key || k.startsWith(`${key} > `));
+        },
+
+        /**
+         * Forgets a unit and everything below it
+         * @param {...(string | number)} units
+         */
+        async reset(...units) {
+            const key = toKey(units);
+            for (const k of Object.keys(state.completed)) {
+                if (k === key || k.startsWith(`${key} > `)) delete state.completed[k];
+            }
+            await persist();
+        },
+
+        /**
+         * Returns a view of the store relative to a unit
+         * @param {...(string | number)} units
+         */
+        scope: (...units) => ({
+            isCompleted: (...rest) => store.isCompleted(...units, ...rest),
+            markCompleted: (...rest) => store.markCompleted(...units, ...rest),
+            scope: (...rest) => store.scope(...units, ...rest),
+            reset: (...rest) => store.reset(...units, ...rest)
+        }),
+
+        /**
+         * Rebuilds the checkpoints of a tournament from the outputs of an earlier run
+         * (seasons_list.json and matches_<seasonId>.json, rounds_<seasonId>.json or stages_<seasonId>.json). Seasons that logged gameweek issues only count
+         * when they appear in composed.json or repaired.json. Seasons with scheduled or postponed matches are left to be scraped again,
+         * and so is the tournament. Returns the number of completed seasons found
+         * @param {string} country
+         * @param {string} tournament
+         * @param {string} tournamentDir
+         */
+        async rebuildTournament(country, tournament, tournamentDir) {
+            const seasons = await readJSON(joinPathnames([tournamentDir, 'seasons_list.json'])) || [];
+            const repaired = await readJSON(joinPathnames([tournamentDir, 'repaired.json']));
+            const composed = await readJSON(joinPathnames([tournamentDir, 'composed.json']));
+            const repairedSeasons = new Set([...(repaired?.data || []), ...(composed?.data || [])].map(o => o.season));
+            let count = 0;
+            let hasUnplayedSeasons = false;
+
+            for (const { season, url, format, stages } of seasons) {
+                const seasonId = seasonFileId(url);
+                const seasonDir = joinPathnames([tournamentDir, normalizeFilepath(season)]);
+                const prefix = format === 'knockout' ? 'rounds' : stages?.length > 1 ? 'stages' : 'matches';
+                const matchesFile = joinPathnames([seasonDir, `${prefix}_${seasonId}.json`]);
+                const hasIssues = await exists(joinPathnames([seasonDir, 'gameweek_scrape_issues.log']));
+                const saved = await readJSON(matchesFile);
+                if (saved && listSavedMatches(saved).some(isUnplayed)) {
+                    hasUnplayedSeasons = true;
+                    continue;
+                }
+                if (saved && (!hasIssues || repairedSeasons.has(season))) {
+                    state.completed[toKey([country, tournament, season])] = new Date().toISOString();
+                    count++;
+                }
+            }
+
+            const isFinished = !hasUnplayedSeasons && (await exists(joinPathnames([tournamentDir, 'composed.json'])) ||
+                await exists(joinPathnames([tournamentDir, 'erroneous.json'])));
+            if (isFinished) state.completed[toKey([country, tournament])] = new Date().toISOString();
+
+            await persist();
+            return count;
+        }
+    };
+
+    return store;
+}
+
+/**
+ * Lists the matches of a saved season file, whether it holds gameweeks, knockout rounds or league stages
+ * @param {Array<{ matches?: Array<Object>, gameweeks?: Array<Object> }>} items
+ * @returns {Array<Object>}
+ */
+const listSavedMatches = (items) => items.flatMap(item => [...(item.matches || []), ...listSavedMatches(item.gameweeks || [])]);
+
+/** @param {string} filePath */
+const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
@@ -0,0 +1,198 @@
+import { parseArgs } from 'node:util';
+import { parseSeasonLabel } from './seasons.js';
+import { defaultTimeZone, isValidTimeZone } from './dates.js';
+import { defaultTiebreakers, tiebreakerNames } from './standings.js';
+
+const commands = {
+    scrape: 'Scrape every competition matching the filters',
+    list: 'List competitions matching the filters without scraping',
+    retry: 'Re-scrape tournaments that left an erroneous.json in the output directory',
+    'retry-failed': 'Re-scrape only the failed seasons and gameweeks found in the output directory',
+    refresh: 'Re-scrape the current season of scraped leagues from its first unfinished gameweek',
+    reparse: 'Rebuild the JSON output of scraped tournaments from their page archive, offline',
+    consolidate: 'Fold seasons kept in repaired.json by older runs into composed.json, offline'
+};
+
+const optionsConfig = {
+    continent: { type: 'string', short: 'c' },
+    country: { type: 'string', short: 'n', multiple: true },
+    until: { type: 'string' },
+    tournament: { type: 'string', short: 't', multiple: true },
+    'leagues-only': { type: 'boolean', short: 'l', default: false },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    last: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    delay: { type: 'string', short: 'd' },
+    resume: { type: 'boolean', short: 'r', default: false },
+    fixtures: { type: 'boolean', default: false },
+    'refuse-changes': { type: 'boolean', default: false },
+    'enrich-stats': { type: 'boolean', short: 'e', default: false },
+    'no-archive': { type: 'boolean', default: false },
+    sqlite: { type: 'string' },
+    timezone: { type: 'string' },
+    tiebreakers: { type: 'string' },
+    'recycle-after': { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const continents = ['Asia', 'Africa', 'America', 'Oceania', 'Europe', 'World'];
+
+/**
+ * Parses command line arguments into a command and scraper options
+ * @param {Array<string>} argv
+ * @returns {{
+ *  command?: string,
+ *  help?: boolean,
+ *  error?: string,
+ *  options?: {
+ *   continent?: string,
+ *   countries: Array<string>,
+ *   until?: string,
+ *   tournaments: Array<RegExp>,
+ *   leaguesOnly: boolean,
+ *   seasonRange?: { from?: number, to?: number, last?: number },
+ *   output?: string,
+ *   delay?: number,
+ *   resume: boolean,
+ *   fixtures: boolean,
+ *   refuseChanges: boolean,
+ *   enrichStats: boolean,
+ *   archive: boolean,
+ *   sqlite?: string,
+ *   timeZone: string,
+ *   tiebreakers: Array<string>,
+ *   recycleAfter: number
+ *  }
+ * }}
+ */
+export const parseCommandLine = (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: optionsConfig, allowPositionals: true });
+    }
+    catch (error) {
+        return { error: error.message };
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help || !positionals.length) return { help: true };
+
+    const [command, ...rest] = positionals;
+    if (!commands[command]) return { error: `Unknown command "${command}"` };
+    if (rest.length) return { error: `Unexpected argument(s): ${rest.join(' ')}` };
+
+    const continent = values.continent && continents.find(c => c.toLowerCase() === values.continent.toLowerCase());
+    if (values.continent && !continent) {
+        return { error: `Unknown continent "${values.continent}" (expected one of ${continents.join(', ')})` };
+    }
+
+    const tournaments = [];
+    for (const pattern of values.tournament || []) {
+        try {
+            tournaments.push(new RegExp(pattern, 'i'));
+        }
+        catch {
+            return { error: `Invalid tournament pattern "${pattern}"` };
+        }
+    }
+
+    const from = values.from ? parseSeasonYear(values.from) : undefined;
+    const to = values.to ? parseSeasonYear(values.to) : undefined;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return { error: 'Season range expects a year (e.g. 2020) or a season (e.g. 2020/2021)' };
+    }
+    if (from && to && from > to) return { error: `Season range is empty: ${from} is after ${to}` };
+
+    const last = values.last !== undefined ? Number(values.last) : undefined;
+    if (last !== undefined && (!Number.isInteger(last) || last < 1)) {
+        return { error: `Invalid season count "${values.last}"` };
+    }
+
+    const delay = values.delay !== undefined ? Number(values.delay) : undefined;
+    if (delay !== undefined && (Number.isNaN(delay) || delay < 0)) {
+        return { error: `Invalid delay "${values.delay}" (expected seconds)` };
+    }
+
+    const timeZone = values.timezone || defaultTimeZone;
+    if (!isValidTimeZone(timeZone)) return { error: `Unknown timezone "${values.timezone}" (expected an IANA name, e.g. Europe/London)` };
+
+    const tiebreakers = values.tiebreakers ? values.tiebreakers.split(',').map(name => name.trim()) : defaultTiebreakers;
+    const unknownTiebreaker = tiebreakers.find(name => !tiebreakerNames.includes(name));
+    if (unknownTiebreaker) return { error: `Unknown tiebreaker "${unknownTiebreaker}" (expected some of ${tiebreakerNames.join(', ')})` };
+
+    const recycleAfter = values['recycle-after'] !== undefined ? Number(values['recycle-after']) : 50;
+    if (!Number.isInteger(recycleAfter) || recycleAfter < 1) {
+        return { error: `Invalid navigation count "${values['recycle-after']}"` };
+    }
+
+    return {
+        command,
+        options: {
+            continent,
+            countries: values.country || [],
+            until: values.until,
+            tournaments,
+            leaguesOnly: values['leagues-only'],
+            seasonRange: from || to || last ? { from, to, last } : undefined,
+            output: values.output,
+            delay: delay !== undefined ? delay * 1000 : undefined,
+            resume: values.resume,
+            fixtures: values.fixtures,
+            refuseChanges: values['refuse-changes'],
+            enrichStats: values['enrich-stats'],
+            archive: !values['no-archive'],
+            sqlite: values.sqlite,
+            timeZone,
+            tiebreakers,
+            recycleAfter
+        }
+    };
+}
+
+export const printUsage = () => {
+    const commandList = Object.entries(commands)
+     .map(([name, description]) => `  ${name.padEnd(28)}${description}`)
+     .join('\n');
+
+    console.log(`Usage: node scraper.js <command> [options]
+
+Commands:
+${commandList}
+
+Options:
+  -c, --continent <name>      Only read competitions of a continent (${continents.join(', ')})
+  -n, --country <name>        Only process this country (repeatable)
+      --until <country>       Stop after this country in the competitions list
+  -t, --tournament <pattern>  Only process tournaments whose name matches the pattern (repeatable, case-insensitive)
+  -l, --leagues-only          Skip competitions that are not gameweek-based leagues
+      --from <season>         First season to scrape, by starting year (e.g. 2020 or 2020/2021, default: 2019)
+      --to <season>           Last season to scrape, by starting year
+      --last <n>              Only scrape the N most recent seasons (within --from/--to if given)
+  -o, --output <dir>          Output directory (default: data)
+  -d, --delay <seconds>       Delay between seasons (default: 5)
+  -r, --resume                Skip countries, tournaments, seasons and gameweeks finished by an earlier run
+      --fixtures              Also scrape seasons without results yet, keeping their scheduled matches for later runs to update
+      --refuse-changes        Don't overwrite stored seasons that changed unexpectedly (e.g. corrected scores), only log them
+  -e, --enrich-stats          Scrape match stats (possession, xG, cards...), events and details once gameweeks are scraped
+      --no-archive            Don't keep the fetched pages for offline re-parsing
+      --sqlite <file>         Also write scraped data to a SQLite database (upserted on re-runs)
+      --timezone <zone>       Timezone the site displays kick-off times in, as an IANA name (default: ${defaultTimeZone})
+      --tiebreakers <list>    Comma-separated criteria ranking rebuilt standings (default: ${defaultTiebreakers.join(',')})
+      --recycle-after <n>     Replace a page after this many navigations (default: 50)
+  -h, --help                  Show this help
+
+Examples:
+  node scraper.js list --continent Europe
+  node scraper.js scrape --country "Bosnia and Herzegovina" --leagues-only
+  node scraper.js scrape -n England -t "premier league" --from 2020 --to 2023
+  node scraper.js scrape --continent Europe --resume
+  node scraper.js scrape -n England --sqlite data/gsa.db
+  node scraper.js reparse -n England -t "premier league"
+  node scraper.js retry-failed -n England
+  node scraper.js refresh -n England -t "Premier League"
+  node scraper.js consolidate -o data`);
+}
+
+/** @param {string} value */
+const parseSeasonYear = (value) => parseSeasonLabel(value)?.startYear ?? NaN;
@@ -0,0 +1,46 @@
+import { joinPathnames, readJSON, saveJSON } from '../utils/utilities.js';
+import { parseSeasonLabel } from './seasons.js';
+import { recordRemovedSeasons } from './season_diff.js';
+
+/** @param {{ season: string }} entry */
+const startYear = ({ season }) => parseSeasonLabel(season)?.startYear ?? -Infinity;
+
+/**
+ * Merges seasons into the ones stored in composed.json by season label: stored seasons of the same label are replaced,
+ * and the others kept, e.g. seasons out of the range of a `--last` or `--from` scrape. Seasons are ordered newest first,
+ * as the site lists them
+ * @param {Array<{ season: string }>} stored
+ * @param {Array<{ season: string }>} seasons
+ * @returns {Array<Object>}
+ */
+export const mergeSeasons = (stored, seasons) => {
+    const replaced = new Set(seasons.map(o => o.season));
+    return [...stored.filter(o => !replaced.has(o.season)), ...seasons].sort((a, b) => startYear(b) - startYear(a));
+}
+
+/**
+ * Merges seasons into a tournament's composed.json (see `mergeSeasons`), creating it when missing
+ * @param {string} tournamentDir
+ * @param {{ tournament: string, id?: number | null }} tournament The tournament, for a new composed.json
+ * @param {Array<Object>} seasons
+ * @returns {Promise<string>} The path of composed.json
+ */
+export async function saveComposedSeasons(tournamentDir, { tournament, id = null }, seasons) {
+    const composedFile = joinPathnames([tournamentDir, 'composed.json']);
+    const composed = await readJSON(composedFile) || { tournament, id, data: [] };
+
+    await saveComposed(tournamentDir, { ...composed, id: composed.id ?? id, data: mergeSeasons(composed.data, seasons) });
+    return composedFile;
+}
+
+/**
+ * Writes a tournament's composed.json. Stored seasons the new one leaves out are logged to changelog.log as removed
+ * @param {string} tournamentDir
+ * @param {{ tournament: string, id: number | null, data: Array<Object> }} composed
+ */
+export async function saveComposed(tournamentDir, composed) {
+    const composedFile = joinPathnames([tournamentDir, 'composed.json']);
+    const stored = await readJSON(composedFile);
+    await recordRemovedSeasons(tournamentDir, composed.tournament, stored?.data || [], composed.data);
+    await saveJSON(composedFile, composed);
+}
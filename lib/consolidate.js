@@ -0,0 +1,93 @@
+import { joinPathnames, normalizeFilepath, readJSON, saveJSON } from '../utils/utilities.js';
+import { parseGsaId } from './ids.js';
+import { recordSeasonChanges } from './season_diff.js';
+import { saveComposed } from './composed.js';
+
+/** Issue logs of the retries, by how the season is scraped */
+const retryLogs = {
+    gameweeks: 'gameweek_scrape_issues.log',
+    knockout: 'knockout_scrape_issues.log',
+    stages: 'stage_scrape_issues.log'
+};
+
+/**
+ * Issue log the retries of a season were logged to, relative to the tournament directory
+ * @param {string} season
+ * @param {'gameweeks' | 'knockout' | 'stages'} [kind='gameweeks']
+ */
+export const retryLogOf = (season, kind = 'gameweeks') => `${normalizeFilepath(season)}/${retryLogs[kind]}`;
+
+/**
+ * Marks a composed season as recovered by a retry, pointing to the log of its failed attempts
+ * @template {{ season: string, rounds?: Array, stages?: Array }} T
+ * @param {T} entry
+ * @returns {T & { repaired: true, retryLog: string }}
+ */
+export const markRepaired = (entry) => ({
+    ...entry,
+    repaired: true,
+    retryLog: retryLogOf(entry.season, entry.rounds ? 'knockout' : entry.stages ? 'stages' : 'gameweeks')
+});
+
+/** Fields of a season's data, as opposed to the record of its retries */
+const seasonDataKeys = ['gameweeks', 'leagueStanding'];
+
+/**
+ * Strips the data of a repaired.json entry written by earlier versions, keeping the record of the repair
+ * @param {{ season: string, [key: string]: any }} entry
+ */
+export const toRepairRecord = (entry) => Object.fromEntries(Object.entries(entry).filter(([key]) => !seasonDataKeys.includes(key)));
+
+/**
+ * Folds repaired seasons into composed.json, in season order, and keeps repaired.json as a record of the retries.
+ * Earlier versions left repaired seasons out of composed.json and kept their gameweeks in repaired.json only.
+ * Like scraped seasons, folded ones go through the changelog, and with `refuseChanges` those that changed unexpectedly stay as stored
+ * @param {string} dataDir The tournament directory
+ * @param {{ refuseChanges?: boolean }} [options={}]
+ * @returns {Promise<number>} The number of seasons folded into composed.json
+ */
+export default async function consolidateTournament(dataDir, options = {}) {
+    const repairedFile = joinPathnames([dataDir, 'repaired.json']);
+    const repaired = await readJSON(repairedFile);
+    if (!repaired?.data?.length) return 0;
+
+    const composedFile = joinPathnames([dataDir, 'composed.json']);
+    const composed = await readJSON(composedFile) || { tournament: repaired.tournament, id: repaired.id ?? null, data: [] };
+    const seasonsList = await readJSON(joinPathnames([dataDir, 'seasons_list.json'])) || [];
+    const seasonLinks = new Map(seasonsList.map(({ season, id, url }, i) => [season, { id: id ?? parseGsaId(url), order: i }]));
+
+    let count = 0;
+    const data = [...composed.data];
+    for (const { gameweeks, leagueStanding, ...repair } of repaired.data) {
+        const index = data.findIndex(o => o.season === repair.season);
+        const stored = data[index];
+        if (!stored && !gameweeks) continue;
+
+        // Seasons already in composed.json were scraped again since, and are only marked
+        const id = repair.id ?? seasonLinks.get(repair.season)?.id ?? null;
+        const folded = stored
+         ? stored.repaired ? stored : markRepaired(stored)
+         : markRepaired({ season: repair.season, id, gameweeks, leagueStanding: leagueStanding || [] });
+
+        const entry = await recordSeasonChanges(dataDir, composed.tournament, stored, folded, { refuseUnexpected: options.refuseChanges });
+        if (stored) {
+            data[index] = entry;
+            continue;
+        }
+        data.push(entry);
+        count++;
+    }
+
+    const order = (season) => seasonLinks.get(season)?.order ?? Infinity;
+    composed.data = data.sort((a, b) => order(a.season) - order(b.season));
+    await saveComposed(dataDir, composed);
+
+    // repaired.json only records the retries from now on
+    repaired.data = repaired.data.map(entry => ({
+        ...toRepairRecord(entry),
+        id: entry.id ?? seasonLinks.get(entry.season)?.id ?? null
+    }));
+    await saveJSON(repairedFile, repaired);
+
+    return count;
+}
@@ -0,0 +1,67 @@
+import fs from 'node:fs/promises';
+import { joinPathnames, readJSON } from '../utils/utilities.js';
+
+/**
+ * Walks <outputDir>/<country>/<tournament> directories written by the scraper and applies the
+ * country and tournament filters. Names are read back from the outputs, as directory names are normalized
+ * @param {string} outputDir
+ * @param {{ countries?: Array<string>, tournaments?: Array<RegExp> }} [filters={}]
+ * @returns {Promise<Array<{ country: string, tournament: string, dir: string }>>}
+ */
+export const findTournamentDirs = async (outputDir, filters = {}) => {
+    const countries = (filters.countries || []).map(c => c.toLowerCase());
+    const tournamentDirs = [];
+
+    for (const countryDir of await listDirectories(outputDir)) {
+        const dir = joinPathnames([outputDir, countryDir]);
+        const country = await readCountryName(dir) || countryDir.replace(/_/g, ' ');
+        if (countries.length && !countries.includes(country.toLowerCase())) continue;
+
+        for (const tournamentDir of await listDirectories(dir)) {
+            const tournamentPath = joinPathnames([dir, tournamentDir]);
+            const isScraped = await fs.access(joinPathnames([tournamentPath, 'seasons_list.json'])).then(() => true, () => false);
+            if (!isScraped) continue;
+
+            const tournament = await readTournamentName(tournamentPath) || tournamentDir.replace(/_/g, ' ');
+            if (filters.tournaments?.length && !filters.tournaments.some(pattern => pattern.test(tournament))) continue;
+
+            tournamentDirs.push({ country, tournament, dir: tournamentPath });
+        }
+    }
+
+    return tournamentDirs;
+}
+
+/**
+ * Reads the country name written to metadata.txt by the scraper
+ * @param {string} countryDir
+ * @returns {Promise<string | null>}
+ */
+async function readCountryName(countryDir) {
+    try {
+        const metadata = await fs.readFile(joinPathnames([countryDir, 'metadata.txt']), 'utf8');
+        return metadata.match(/^Country = (.+)$/m)?.[1].trim() || null;
+    }
+    catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the tournament name from any of the outputs of a tournament
+ * @param {string} tournamentDir
+ * @returns {Promise<string | null>}
+ */
+async function readTournamentName(tournamentDir) {
+    for (const filename of ['composed.json', 'erroneous.json', 'repaired.json']) {
+        const output = await readJSON(joinPathnames([tournamentDir, filename]));
+        if (output?.tournament) return output.tournament;
+    }
+    return null;
+}
+
+/** @param {string} dir */
+async function listDirectories(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    return entries.filter(entry => entry.isDirectory() && entry.name !== 'archive').map(entry => entry.name).sort();
+}
@@ -0,0 +1,183 @@
+import { parseSeasonLabel } from './seasons.js';
+
+/** Kick-off times are read in this timezone unless another one is configured */
+export const defaultTimeZone = 'UTC';
+
+/** Locales whose month names may show up in date headers, in order of precedence */
+const monthLocales = ['en', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'pl', 'cs', 'sk', 'hr', 'sl', 'ro', 'hu', 'tr', 'sv', 'da', 'nb', 'fi', 'ru', 'uk'];
+
+/** @param {string} text */
+const simplify = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/\./g, '');
+
+/**
+ * Month names (long and abbreviated, nominative and genitive) of every locale, mapped to month numbers
+ * @type {Map<string, number>}
+ */
+const monthNames = (() => {
+    const names = new Map();
+    const add = (name, month) => {
+        const key = simplify(name);
+        if (key && !/\d/.test(key) && !names.has(key)) names.set(key, month);
+    };
+
+    for (const locale of monthLocales) {
+        for (let month = 1; month <= 12; month++) {
+            const date = new Date(Date.UTC(2000, month - 1, 15));
+            for (const style of ['long', 'short']) {
+                add(new Intl.DateTimeFormat(locale, { month: style, timeZone: 'UTC' }).format(date), month);
+                // Some languages decline the month when a day is given, e.g. "16 августа"
+                const parts = new Intl.DateTimeFormat(locale, { day: 'numeric', month: style, timeZone: 'UTC' }).formatToParts(date);
+                add(parts.find(p => p.type === 'month')?.value || '', month);
+            }
+        }
+    }
+    return names;
+})();
+
+/**
+ * Finds the month among the words of a header. Exact names win over abbreviations the
+ * locale data doesn't list (e.g. "sept" or "augusti"), so weekdays such as "martes" aren't taken for months
+ * @param {Array<string>} words
+ * @returns {number | null}
+ */
+const findMonth = (words) => {
+    const exact = words.find(word => monthNames.has(word));
+    if (exact) return monthNames.get(exact);
+
+    for (const word of words.filter(w => w.length >= 3)) {
+        for (const [name, month] of monthNames) {
+            if (name.length > 3 && (name.startsWith(word) || word.startsWith(name))) return month;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @returns {string | null}
+ */
+const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/** @param {string} value */
+export const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+/**
+ * Parses a gameweek date header into a YYYY-MM-DD date. Headers may be ISO dates, numeric dates
+ * (day first, e.g. 16.08.2024 or 16/08/24) or written dates with optional weekday names in any of
+ * the supported languages, e.g. "Friday, 16 August 2024", "Fri 16 Aug", "16. août 2024" or "2024. augusztus 16."
+ * Headers without a year take it from the season, when given
+ * @param {string} text
+ * @param {{ season?: string }} [options={}]
+ * @returns {string | null}
+ */
+export const parseDateHeader = (text, options = {}) => {
+    const header = (text || '').trim();
+    if (!header) return null;
+
+    const iso = header.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (iso) return toIsoDate(+iso[1], +iso[2], +iso[3]);
+
+    const numeric = header.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/);
+    if (numeric) {
+        let [day, month] = [+numeric[1], +numeric[2]];
+        if (month > 12 && day <= 12) [day, month] = [month, day]; // Month first
+        const year = numeric[3].length === 2 ? 2000 + +numeric[3] : +numeric[3];
+        return toIsoDate(year, month, day);
+    }
+
+    const tokens = simplify(header).split(/[\s,/-]+/).filter(Boolean);
+    let year = null;
+    let day = null;
+    const words = [];
+    for (const token of tokens) {
+        if (/^\d{4}$/.test(token)) year ??= +token;
+        else if (/^\d{1,2}(?:st|nd|rd|th|er|e|o|a)?$/.test(token)) day ??= parseInt(token, 10);
+        else words.push(token);
+    }
+    const month = findMonth(words);
+    if (!month || !day) return null;
+
+    year ??= inferYear(month, options.season);
+    return year ? toIsoDate(year, month, day) : null;
+}
+
+/**
+ * Picks the year of a month within a season: "2024/2025" seasons run from mid-2024 to mid-2025
+ * @param {number} month
+ * @param {string} [season]
+ */
+const inferYear = (month, season) => {
+    const label = season && parseSeasonLabel(season);
+    if (!label) return null;
+    return label.isCalendarYear || month >= 7 ? label.startYear : label.endYear;
+}
+
+/**
+ * Parses a kick-off time such as "15:00", "9.30" or "3:00 PM" into HH:MM, or null (e.g. "TBD")
+ * @param {string} text
+ * @returns {string | null}
+ */
+export const parseKickoffTime = (text) => {
+    const match = (text || '').trim().match(/^(\d{1,2})[:.h](\d{2})\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hours = +match[1];
+    const meridiem = match[3]?.toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || +match[2] > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {number} timestamp
+ * @param {string} timeZone
+ */
+const timeZoneOffset = (timestamp, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+    const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    return wallClock - timestamp;
+}
+
+/** @param {string} timeZone */
+export const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    }
+    catch {
+        return false;
+    }
+}
+
+/**
+ * Converts a date and kick-off time read in the source timezone to a UTC ISO 8601 timestamp. The offset is the one
+ * of the date at midday, which only misses kick-offs between midnight and a DST change of the same night
+ * @param {string} date YYYY-MM-DD
+ * @param {string} time HH:MM
+ * @param {string} [timeZone=defaultTimeZone] IANA timezone the site displays times in
+ * @returns {string | null}
+ */
+export const toUtcTimestamp = (date, time, timeZone = defaultTimeZone) => {
+    if (!isIsoDate(date) || !/^\d{2}:\d{2}$/.test(time || '')) return null;
+
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // DST changes happen at night, so the offset at midday is the one of the day's matches
+    const offset = timeZoneOffset(Date.UTC(year, month - 1, day, 12), timeZone);
+    return new Date(wallClock - offset).toISOString();
+}
@@ -0,0 +1,110 @@
+import { joinPathnames, readJSON, saveJSON } from '../utils/utilities.js';
+import scrapeMatchStats from './scrape_match_stats.js';
+import { hasResult, toStatPairs } from './match_model.js';
+import { matchDetailsVersion } from './parsers/parse_match_details.js';
+
+/**
+ * Attaches match stats, timeline events and details to every played match of the scraped seasons.
+ * Scraped stats, events and details are cached in match_stats.json (keyed by stats URL) as they come in,
+ * so an interrupted enrichment picks up where it stopped. Matches enriched by earlier versions, without events
+ * or with details of an older version, are scraped again.
+ * @param {Array<{ 
+ *  season: string, 
+ *  gameweeks?: Array<{ gameweek: number, matches: Array<any> }>,
+ *  rounds?: Array<{ matches?: Array<any>, gameweeks?: Array<{ matches: Array<any> }> }>,
+ *  stages?: Array<{ gameweeks: Array<{ matches: Array<any> }> }>
+ * }>} seasons
+ * @param {{
+ *  dataDir: string,
+ *  tournament: string,
+ *  country?: string,
+ *  browserPool?: ReturnType<typeof import('./browser_pool.js').default>,
+ *  archive?: ReturnType<typeof import('./html_archive.js').default>,
+ *  database?: { saveMatchStats: Function }
+ * }} options
+ * @returns {Promise<{ enriched: number, failed: number, scoreMismatch: number, alreadyEnriched: number }>}
+ */
+export default async function enrichMatchStats(seasons, options) {
+    const cacheFile = joinPathnames([options.dataDir, 'match_stats.json']);
+    const cache = await readJSON(cacheFile) || {};
+    const summary = { enriched: 0, failed: 0, scoreMismatch: 0, alreadyEnriched: 0 };
+    const postfix = options.country ? `${options.tournament} (${options.country})` : options.tournament;
+
+    for (let i = 0; i < seasons.length; i++) {
+        const { season } = seasons[i];
+        console.log(`[${i + 1}/${seasons.length}] Enriching ${season} season of ${postfix}`);
+
+        for (const matches of listMatchGroups(seasons[i])) {
+            for (const match of matches) {
+                const { homeTeam, awayTeam, score, statsUrl } = match;
+                if (!statsUrl || !hasResult(match)) continue; // Not played (yet)
+
+                if (isEnriched(match)) {
+                    summary.alreadyEnriched++;
+                    continue;
+                }
+                // Stats cached by earlier versions have no events nor details
+                if (isEnriched(cache[statsUrl])) {
+                    match.stats = toStatPairs(cache[statsUrl].stats);
+                    match.events = cache[statsUrl].events;
+                    match.details = cache[statsUrl].details;
+                    options.database?.saveMatchStats(statsUrl, match.stats, match.events, match.details);
+                    summary.alreadyEnriched++;
+                    continue;
+                }
+
+                try {
+                    const details = await scrapeMatchStats(score, statsUrl, {
+                        homeTeam,
+                        awayTeam,
+                        browserPool: options.browserPool,
+                        archive: options.archive
+                    });
+                    if (!details) {
+                        summary.scoreMismatch++;
+                        continue;
+                    }
+                    match.stats = details.stats;
+                    match.events = details.events;
+                    match.details = details.details;
+                    cache[statsUrl] = details;
+                    await saveJSON(cacheFile, cache);
+                    options.database?.saveMatchStats(statsUrl, details.stats, details.events, details.details);
+                    summary.enriched++;
+                }
+                catch {
+                    summary.failed++;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, Math.floor((Math.random() * 10) + 1) * 1000));
+            }
+        }
+        console.log('\n');
+    }
+
+    console.log(`Match stats enrichment of ${postfix} completed: ${summary.enriched} enriched, ` +
+        `${summary.failed} failed, ${summary.scoreMismatch} skipped after failed score check, ` +
+        `${summary.alreadyEnriched} already enriched`);
+
+    return summary;
+}
+
+/**
+ * Whether a match (or a cache entry) has stats, events and details of the current version
+ * @param {{ stats?: Object, events?: Array<Object>, details?: { version: number } } | undefined} entry
+ */
+const isEnriched = (entry) => Boolean(entry?.stats && entry.events && entry.details?.version >= matchDetailsVersion);
+
+/**
+ * Lists the match lists of a season, whether it is played in gameweeks, knockout rounds or league stages
+ * @param {{ gameweeks?: Array<{ matches: Array<any> }>, rounds?: Array<any>, stages?: Array<any> }} season
+ * @returns {Array<Array<any>>}
+ */
+function listMatchGroups(season) {
+    const groups = (season.gameweeks || []).map(gw => gw.matches);
+    for (const round of [...(season.rounds || []), ...(season.stages || [])]) {
+        round.matches && groups.push(round.matches);
+        (round.gameweeks || []).forEach(gw => groups.push(gw.matches));
+    }
+    return groups;
+}
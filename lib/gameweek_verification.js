@@ -1,38 +1,73 @@
 import { joinPathnames, saveJSON } from "../utils/utilities.js";
+import { matchKey, seasonFileId } from "./ids.js";
+import { isIsoDate } from "./dates.js";
+import { hasResult } from "./match_model.js";
+import { parseKnockoutScore } from "./knockout_ties.js";
+
+/** Goals by one side above which a score is taken for a parsing or data-entry error */
+const implausibleGoals = 15;
+
+/**
+ * Whether a gameweek has too few matches to be complete (less than half the expected count),
+ * allowing for postponed or relocated matches
+ * @param {number} matchCount
+ * @param {number} expectedMatchesPerGameweek
+ */
+export const isShortGameweek = (matchCount, expectedMatchesPerGameweek) => matchCount < Math.floor(expectedMatchesPerGameweek * 0.5);
 
 /**
- * Verifies gameweek data for anomalies like duplicates and fewer-than-expected matches.
- * Returns the original data if no critical issues are found, along with a report of warnings.
+ * @typedef {'error' | 'warning' | 'info'} Severity
+ * @typedef {{ code: string, severity: Severity, type: Severity, message: string, details: any }} VerificationIssue
+ */
+
+/**
+ * Verifies gameweek data for anomalies: duplicates, fewer-than-expected matches, invalid dates, empty gameweeks,
+ * teams listed twice in a gameweek or against themselves, implausible scores, incomplete round-robins and,
+ * when the standings are given, teams or match counts that disagree with them.
+ * Returns the original data along with a report of coded issues, also saved to verification_report_<seasonId>.json.
  * Throws an error for critical issues (e.g., duplicates).
- * @param {Array<{ gameweek: number, matches: Array<{ date: string, time: string, homeTeam: string, awayTeam: string, score: string, statsUrl: string, awarded?: boolean }> }>} gameweeks
+ * @param {Array<{ gameweek: number, matches: Array<{ id?: number | null, date: string, time: string, homeTeam: string, awayTeam: string, score: string, statsUrl: string, awarded?: boolean }> }>} gameweeks
  * @param {number} expectedMatchesPerGameweek
  * @param {string} seasonUrl
  * @param {string} outputDir
- * @returns {Promise<{ data: Array, report: Array<{ type: string, message: string, details: any }>}>}
+ * @param {{ standings?: Array<{ team: string, matchPlayed: number }>, uniqueFileId?: string }} [options={}]
+ * @returns {Promise<{ data: Array, report: Array<VerificationIssue> }>}
  */
-export const verifyGameweekData = async (gameweeks, expectedMatchesPerGameweek, seasonUrl, outputDir) => {
+export const verifyGameweekData = async (gameweeks, expectedMatchesPerGameweek, seasonUrl, outputDir, options = {}) => {
     const report = [];
+    const fileId = options.uniqueFileId ? '.' + options.uniqueFileId : '';
 
     // Helper function to log issues to file
-    async function logIssue(message, type = 'warning', details = {}) {
+    async function logIssue(code, message, severity = 'warning', details = {}) {
         const logEntry = {
             timestamp: new Date().toISOString(),
             seasonUrl,
-            type,
+            code,
+            type: severity,
             message,
             details
         };
         const logFile = joinPathnames([outputDir, 'gameweek_verification_issues.log']);
         await saveJSON(logFile, logEntry, true);
-        report.push({ type, message, details });
+        report.push({ code, severity, type: severity, message, details });
+    }
+
+    // Summary of every check of the run, for tools reading the verification results
+    async function saveReport() {
+        const summary = Object.fromEntries(['error', 'warning', 'info'].map(severity => [
+            severity,
+            report.filter(issue => issue.severity === severity).length
+        ]));
+        const reportFile = joinPathnames([outputDir, `verification_report_${seasonFileId(seasonUrl)}${fileId}.json`]);
+        await saveJSON(reportFile, { seasonUrl, verifiedAt: new Date().toISOString(), summary, issues: report });
     }
 
-    // Check for duplicate matches across all gameweeks
+    // Check for duplicate matches across all gameweeks, by match ID
     const matchSignatures = new Set();
     const duplicateMatches = [];
     gameweeks.forEach((gw) => {
         gw.matches.forEach((match, matchIndex) => {
-            const signature = `${match.homeTeam}|${match.awayTeam}|${match.date}|${match.score}`;
+            const signature = matchKey(match);
             if (matchSignatures.has(signature)) {
                 duplicateMatches.push({
                     gameweek: gw.gameweek,
@@ -47,21 +82,23 @@ export const verifyGameweekData = async (gameweeks, expectedMatchesPerGameweek,
 
     if (duplicateMatches.length > 0) {
         await logIssue(
+            'DUPLICATE_MATCH',
             `Found ${duplicateMatches.length} duplicate matches`,
             'error',
             { duplicates: duplicateMatches }
         );
+        await saveReport();
         throw new Error(`Duplicate matches detected: ${duplicateMatches.length} instances. See gameweek_verification_issues.log for details.`);
     }
 
     // Check for gameweeks with fewer matches than expected
-    const matchThreshold = Math.floor(expectedMatchesPerGameweek * 0.5); // Flag if <50% of expected
-    const lowMatchGameweeks = gameweeks.filter(gw => 
-        gw.matches.length > 0 && gw.matches.length < matchThreshold
+    const lowMatchGameweeks = gameweeks.filter(gw =>
+        gw.matches.length > 0 && isShortGameweek(gw.matches.length, expectedMatchesPerGameweek)
     );
 
     for (const gw of lowMatchGameweeks) {
         await logIssue(
+            'LOW_MATCH_COUNT',
             `Gameweek ${gw.gameweek} has fewer matches than expected: ${gw.matches.length} found, expected ~${expectedMatchesPerGameweek}`,
             'warning',
             { gameweek: gw.gameweek, matches: gw.matches }
@@ -69,13 +106,12 @@ export const verifyGameweekData = async (gameweeks, expectedMatchesPerGameweek,
     }
 
     // Check for invalid or missing dates
-    const invalidDateGameweeks = gameweeks.filter(gw => 
-        gw.matches.some(match => !match.date || !/^\d{4}-\d{2}-\d{2}$/.test(match.date))
-    );
+    const invalidDateGameweeks = gameweeks.filter(gw => gw.matches.some(match => !isIsoDate(match.date)));
 
     for (const gw of invalidDateGameweeks) {
-        const invalidMatches = gw.matches.filter(match => !match.date || !/^\d{4}-\d{2}-\d{2}$/.test(match.date));
+        const invalidMatches = gw.matches.filter(match => !isIsoDate(match.date));
         await logIssue(
+            'INVALID_DATE',
             `Gameweek ${gw.gameweek} contains matches with invalid or missing dates`,
             'warning',
             { gameweek: gw.gameweek, invalidMatches }
@@ -86,11 +122,141 @@ export const verifyGameweekData = async (gameweeks, expectedMatchesPerGameweek,
     const emptyGameweeks = gameweeks.filter(gw => gw.matches.length === 0);
     for (const gw of emptyGameweeks) {
         await logIssue(
+            'EMPTY_GAMEWEEK',
             `Gameweek ${gw.gameweek} is empty (no matches)`,
             'warning',
             { gameweek: gw.gameweek }
         );
     }
 
+    // Check for teams playing more than once in a gameweek, or against themselves
+    for (const gw of gameweeks) {
+        const appearances = new Map();
+        for (const match of gw.matches) {
+            if (match.homeTeam === match.awayTeam) {
+                await logIssue(
+                    'SELF_MATCH',
+                    `Gameweek ${gw.gameweek} has ${match.homeTeam} playing itself`,
+                    'error',
+                    { gameweek: gw.gameweek, match }
+                );
+                continue;
+            }
+            for (const team of [match.homeTeam, match.awayTeam]) {
+                appearances.set(team, [...(appearances.get(team) || []), match]);
+            }
+        }
+
+        for (const [team, matches] of appearances) {
+            if (matches.length < 2) continue;
+            await logIssue(
+                'TEAM_TWICE_IN_GAMEWEEK',
+                `Gameweek ${gw.gameweek} has ${team} playing ${matches.length} matches`,
+                'warning',
+                { gameweek: gw.gameweek, team, matches }
+            );
+        }
+    }
+
+    // Check for implausible scores
+    for (const gw of gameweeks) {
+        for (const match of gw.matches) {
+            const { homeGoals, awayGoals } = parseKnockoutScore(match.score);
+            if (Math.max(homeGoals ?? 0, awayGoals ?? 0) <= implausibleGoals) continue;
+            await logIssue(
+                'IMPLAUSIBLE_SCORE',
+                `Gameweek ${gw.gameweek} has an implausible score: ${match.homeTeam} ${match.score} ${match.awayTeam}`,
+                'warning',
+                { gameweek: gw.gameweek, match }
+            );
+        }
+    }
+
+    const matches = gameweeks.flatMap(gw => gw.matches).filter(match => match.homeTeam !== match.awayTeam);
+    const teams = [...new Set(matches.flatMap(match => [match.homeTeam, match.awayTeam]))];
+
+    // Check that every pairing was scheduled as often as a round-robin needs
+    const fixtures = findMissingFixtures(matches, teams);
+    if (fixtures.missing.length) {
+        await logIssue(
+            'INCOMPLETE_ROUND_ROBIN',
+            `${fixtures.missing.length} fixture(s) of a ${fixtures.rounds}-round round-robin between ${teams.length} teams are missing`,
+            'info',
+            { rounds: fixtures.rounds, missing: fixtures.missing }
+        );
+    }
+
+    // Check teams and matches played against the standings table
+    const standings = options.standings || [];
+    if (standings.length) {
+        const standingTeams = new Set(standings.map(row => row.team));
+        if (teams.length !== standingTeams.size) {
+            await logIssue(
+                'TEAM_COUNT_MISMATCH',
+                `Gameweeks have ${teams.length} distinct teams, the standings table ${standingTeams.size}`,
+                'warning',
+                {
+                    notInStandings: teams.filter(team => !standingTeams.has(team)),
+                    notInGameweeks: [...standingTeams].filter(team => !teams.includes(team))
+                }
+            );
+        }
+
+        const played = new Map();
+        for (const match of matches.filter(hasResult)) {
+            for (const team of [match.homeTeam, match.awayTeam]) played.set(team, (played.get(team) || 0) + 1);
+        }
+        const unevenTeams = standings
+         .filter(row => (played.get(row.team) || 0) !== row.matchPlayed)
+         .map(row => ({ team: row.team, gameweeks: played.get(row.team) || 0, standings: row.matchPlayed }));
+
+        if (unevenTeams.length) {
+            await logIssue(
+                'MATCH_COUNT_MISMATCH',
+                `${unevenTeams.length} team(s) played a different number of matches than the standings table shows`,
+                'warning',
+                { teams: unevenTeams }
+            );
+        }
+    }
+
+    await saveReport();
     return { data: gameweeks, report };
-}
\ No newline at end of file
+}
+
+/**
+ * Finds the pairings a round-robin is missing. The number of rounds (each team meeting each other once per round,
+ * home and away alternating) is estimated from the match count, so cancelled or unlisted matches show up as missing
+ * @param {Array<{ homeTeam: string, awayTeam: string }>} matches
+ * @param {Array<string>} teams
+ * @returns {{ rounds: number, missing: Array<{ homeTeam: string, awayTeam: string, expected: number, found: number }> }}
+ */
+function findMissingFixtures(matches, teams) {
+    const pairings = teams.length * (teams.length - 1) / 2;
+    const rounds = pairings ? Math.round(matches.length / pairings) : 0;
+    if (!rounds) return { rounds, missing: [] };
+
+    const counts = new Map();
+    for (const { homeTeam, awayTeam } of matches) {
+        const key = `${homeTeam}|${awayTeam}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const missing = [];
+    for (let i = 0; i < teams.length; i++) {
+        for (let j = i + 1; j < teams.length; j++) {
+            const [a, b] = [teams[i], teams[j]];
+            const [home, away] = [counts.get(`${a}|${b}`) || 0, counts.get(`${b}|${a}`) || 0];
+
+            // Even rounds split evenly between venues; odd rounds leave one extra home match to either team
+            const half = Math.floor(rounds / 2);
+            const isShort = home + away < rounds || Math.min(home, away) < half;
+            if (!isShort) continue;
+
+            const [expectedHome, expectedAway] = rounds % 2 && home >= away ? [half + 1, half] : [half, rounds - half];
+            expectedHome > home && missing.push({ homeTeam: a, awayTeam: b, expected: expectedHome, found: home });
+            expectedAway > away && missing.push({ homeTeam: b, awayTeam: a, expected: expectedAway, found: away });
+        }
+    }
+    return { rounds, missing };
+}
@@ -0,0 +1,85 @@
+import fs from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { promisify } from 'node:util';
+import { gzip, gunzip } from 'node:zlib';
+import { joinPathnames } from '../utils/utilities.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+/**
+ * Creates a content-addressed archive of fetched pages. Pages are stored gzipped under
+ * objects/<hash prefix>/<sha256>.html.gz, and every fetch is recorded in manifest.jsonl
+ * together with its context (tournament, season, gameweek, stage...) so it can be re-parsed offline
+ * @param {string} archiveDir
+ */
+export default function createHtmlArchive(archiveDir) {
+    const manifestFile = joinPathnames([archiveDir, 'manifest.jsonl']);
+
+    /** @param {string} hash */
+    const objectPath = (hash) => joinPathnames([archiveDir, `objects/${hash.slice(0, 2)}/${hash}.html.gz`]);
+
+    /**
+     * @param {Object} context
+     */
+    const bind = (context) => ({
+        /**
+         * Stores a page and records the fetch
+         * @param {string} html
+         * @param {{ kind: 'season' | 'gameweek' | 'standing' | 'stage' | 'match', url: string, [key: string]: any }} entry
+         * @returns {Promise<string | null>} The hash of the page
+         */
+        async store(html, entry) {
+            try {
+                const hash = createHash('sha256').update(html).digest('hex');
+                const filename = objectPath(hash);
+                const exists = await fs.access(filename).then(() => true, () => false);
+                if (!exists) {
+                    await fs.mkdir(joinPathnames([archiveDir, `objects/${hash.slice(0, 2)}`]), { recursive: true });
+                    await fs.writeFile(filename, await gzipAsync(html));
+                }
+                const record = { ...context, ...entry, hash, fetchedAt: new Date().toISOString() };
+                await fs.appendFile(manifestFile, JSON.stringify(record) + '\n');
+                return hash;
+            }
+            catch (error) {
+                console.warn('Failed to archive a page:', error.message, `[${entry.url}]`);
+                return null;
+            }
+        },
+
+        /**
+         * Returns a view of the archive that adds more context to every record
+         * @param {Object} more
+         */
+        withContext: (more) => bind({ ...context, ...more })
+    });
+
+    return {
+        ...bind({}),
+
+        /**
+         * Reads the manifest, oldest fetch first
+         * @returns {Promise<Array<{ kind: string, url: string, hash: string, fetchedAt: string, [key: string]: any }>>}
+         */
+        async entries() {
+            try {
+                const content = await fs.readFile(manifestFile, 'utf8');
+                return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+            }
+            catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+        },
+
+        /**
+         * Loads an archived page
+         * @param {string} hash
+         * @returns {Promise<string>}
+         */
+        async load(hash) {
+            return (await gunzipAsync(await fs.readFile(objectPath(hash)))).toString('utf8');
+        }
+    };
+}
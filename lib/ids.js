@@ -0,0 +1,47 @@
+/**
+ * GSA pages end with a numeric ID, whatever the entity:
+ * /competition/soccer/<competition-season>/<stage>/<id>/, /team/soccer/<team>/<id>/, /match/soccer/<date>/<teams>/<id>/
+ * @param {string} url
+ * @returns {number | null}
+ */
+export const parseGsaId = (url) => {
+    const match = String(url || '').match(/\/(\d+)\/?(?:[?#].*)?$/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * The key files of a season are named after, i.e. its GSA ID (or the last path segment of URLs without one)
+ * @param {string} url
+ * @returns {string}
+ */
+export const seasonFileId = (url) => String(parseGsaId(url) ?? url.split('/').slice(-2, -1)[0]);
+
+/**
+ * Identifies a match across scrapes. Matches are keyed by their GSA ID, so a corrected score
+ * or a moved kick-off doesn't make the same match look like a new one.
+ * Falls back to teams, date and score for matches without a stats page
+ * @param {{ id?: number | null, homeTeam: string, awayTeam: string, date: string, score: string }} match
+ */
+export const matchKey = (match) => match.id != null
+    ? `id:${match.id}`
+    : `${match.homeTeam}|${match.awayTeam}|${match.date}|${match.score}`;
+
+/**
+ * Maps team names to GSA team IDs using the season standings
+ * @param {Array<{ team: string, teamId?: number | null }>} [standings=[]]
+ * @returns {Map<string, number>}
+ */
+export const teamIdsOf = (standings = []) => new Map(standings.filter(s => s.teamId != null).map(s => [s.team, s.teamId]));
+
+/**
+ * Sets homeTeamId and awayTeamId on matches whose teams are known
+ * @param {Array<{ homeTeam: string, awayTeam: string, homeTeamId?: number | null, awayTeamId?: number | null }>} matches
+ * @param {Map<string, number>} teamIds
+ */
+export const linkTeamIds = (matches, teamIds) => {
+    for (const match of matches) {
+        match.homeTeamId ??= teamIds.get(match.homeTeam) ?? null;
+        match.awayTeamId ??= teamIds.get(match.awayTeam) ?? null;
+    }
+    return matches;
+}
@@ -0,0 +1,83 @@
+/**
+ * Parses a knockout score such as "2 : 1", "1 : 1 AET", "1 : 1 PEN (4 : 3)" or "3 : 0 AWD"
+ * @param {string} score
+ * @returns {{
+ *  homeGoals: number | null,
+ *  awayGoals: number | null,
+ *  extraTime: boolean,
+ *  penalties: { home: number, away: number } | null,
+ *  awarded: boolean
+ * }}
+ */
+export const parseKnockoutScore = (score = '') => {
+    const goals = score.match(/^\s*(\d+)\s*:\s*(\d+)/);
+    const shootout = score.match(/\(\s*(\d+)\s*[:-]\s*(\d+)\s*\)/);
+    const hasPenalties = /\bpen|\bp\b|penalt/i.test(score) || Boolean(shootout);
+
+    return {
+        homeGoals: goals ? parseInt(goals[1], 10) : null,
+        awayGoals: goals ? parseInt(goals[2], 10) : null,
+        extraTime: /\ba\.?e\.?t\.?\b|\bet\b|extra/i.test(score) || hasPenalties,
+        penalties: hasPenalties && shootout ? { home: parseInt(shootout[1], 10), away: parseInt(shootout[2], 10) } : null,
+        awarded: score.includes('AWD')
+    };
+}
+
+/**
+ * Groups the matches of a knockout round into ties. Two matches between the same
+ * teams form a two-legged tie decided on aggregate; extra time and penalties are
+ * taken from the deciding (last) leg
+ * @param {Array<{ date: string, homeTeam: string, awayTeam: string, score: string }>} matches
+ * @returns {Array<{
+ *  homeTeam: string,
+ *  awayTeam: string,
+ *  legs: Array<Object>,
+ *  aggregate: { home: number, away: number } | null,
+ *  extraTime: boolean,
+ *  penalties: { home: number, away: number } | null,
+ *  winner: string | null
+ * }>}
+ */
+export const buildTies = (matches) => {
+    const ties = new Map();
+    for (const match of matches) {
+        const key = [match.homeTeam, match.awayTeam].sort().join('|');
+        if (!ties.has(key)) ties.set(key, []);
+        ties.get(key).push(match);
+    }
+
+    return Array.from(ties.values()).map(legs => {
+        // The first leg decides which team is the "home" side of the tie
+        const [first] = legs;
+        const homeTeam = first.homeTeam;
+        const awayTeam = first.awayTeam;
+        const last = legs[legs.length - 1];
+
+        let aggregate = { home: 0, away: 0 };
+        for (const leg of legs) {
+            const { homeGoals, awayGoals } = parseKnockoutScore(leg.score);
+            if (homeGoals === null) {
+                aggregate = null;
+                break;
+            }
+            const isReversed = leg.homeTeam !== homeTeam;
+            aggregate.home += isReversed ? awayGoals : homeGoals;
+            aggregate.away += isReversed ? homeGoals : awayGoals;
+        }
+
+        const decider = parseKnockoutScore(last.score);
+        const penalties = decider.penalties && (last.homeTeam === homeTeam
+            ? decider.penalties
+            : { home: decider.penalties.away, away: decider.penalties.home });
+
+        let winner = null;
+        if (aggregate && aggregate.home !== aggregate.away) {
+            winner = aggregate.home > aggregate.away ? homeTeam : awayTeam;
+        }
+        else if (penalties && penalties.home !== penalties.away) {
+            winner = penalties.home > penalties.away ? homeTeam : awayTeam;
+        }
+
+        return { homeTeam, awayTeam, legs, aggregate, extraTime: decider.extraTime, penalties, winner };
+    });
+}
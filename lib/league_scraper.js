@@ -1,6 +1,17 @@
-import { joinPathnames, normalizeFilepath, saveJSON } from '../utils/utilities.js';
+import { joinPathnames, normalizeFilepath, readJSON, saveJSON } from '../utils/utilities.js';
 import scrapeSeasonsLinks from './scrape_season_links.js';
-import scrapeGameweeks from './scrape_gameweeks.js';
+import { isIncompleteScrape, scrapeGameweeksWithRetries } from './scrape_gameweeks.js';
+import scrapeKnockout from './scrape_knockout.js';
+import scrapeLeagueStages from './scrape_stages.js';
+import enrichMatchStats from './enrich_match_stats.js';
+import createHtmlArchive from './html_archive.js';
+import { parseGsaId, seasonFileId, teamIdsOf } from './ids.js';
+import { markRepaired, toRepairRecord } from './consolidate.js';
+import { reconcileSeasonStandings } from './standings.js';
+import { isUnplayed } from './match_model.js';
+import { recordSeasonChanges } from './season_diff.js';
+import { saveComposedSeasons } from './composed.js';
+import createSeasonOutput from './season_output.js';
 import fs from 'node:fs/promises';
 
 
@@ -14,76 +25,296 @@ import fs from 'node:fs/promises';
  *  delay?: number, 
  *  country?: string,
  *  leaguesOnly?: boolean,
- *  maxRescrapeCount?: number 
+ *  seasonRange?: { from?: number, to?: number, last?: number },
+ *  maxRescrapeCount?: number,
+ *  checkpoint?: Awaited<ReturnType<typeof import('./checkpoint.js').default>>,
+ *  resume?: boolean,
+ *  fixtures?: boolean,
+ *  browserPool?: ReturnType<typeof import('./browser_pool.js').default>,
+ *  enrichStats?: boolean,
+ *  archive?: boolean,
+ *  database?: Awaited<ReturnType<typeof import('./sqlite_store.js').default>>,
+ *  timeZone?: string,
+ *  tiebreakers?: Array<string>,
+ *  refuseChanges?: boolean
  * }} options
+ * @returns {Promise<Array<string> | undefined>} The seasons left with matches still to be played
  */
 export default async function scrapeTournament(options) {
-    const { baseUrl, pageUrl, tournament } = options;
+    const { baseUrl, pageUrl, tournament, checkpoint, browserPool } = options;
+    const country = options.country || '';
     const maxRescrapeCount = options.maxRescrapeCount || 3;
-    const delay = options.delay || 5000;
+    const delay = options.delay ?? 5000;
     const dataDirname = normalizeFilepath(tournament);
     const dataDir = joinPathnames([options.dataDir, dataDirname]); 
     await fs.mkdir(dataDir, { recursive: true }); // Creating data directory
 
+    // Fetched pages are archived next to the JSON output so they can be re-parsed offline
+    const archive = options.archive === false 
+     ? undefined 
+     : createHtmlArchive(joinPathnames([dataDir, 'archive'])).withContext({ country, tournament });
+    const database = options.database?.competition({ country, tournament, url: pageUrl });
+
+    if (checkpoint && options.resume) {
+        if (!checkpoint.hasEntries(country, tournament)) {
+            const count = await checkpoint.rebuildTournament(country, tournament, dataDir);
+            count && console.log(`Recovered ${count} completed season(s) of ${tournament} from earlier outputs`);
+        }
+        if (checkpoint.isCompleted(country, tournament)) {
+            console.log(`${tournament} was already scraped. Skipping.\n`);
+            return;
+        }
+    }
+    else if (checkpoint) {
+        await checkpoint.reset(country, tournament);
+    }
+
     console.log(`Scraping ${tournament}...`);
 
-    const seasonLinks = await scrapeSeasonsLinks(baseUrl, pageUrl, dataDir, !!options.leaguesOnly);
+    // Season outputs are held back until the scraped season is checked against the one stored by an earlier run
+    const seasonOutputs = new Map();
+    const outputOf = (season) => seasonOutputs.get(season) || seasonOutputs.set(season, createSeasonOutput()).get(season);
+    const composedFile = joinPathnames([dataDir, 'composed.json']);
+    const previous = await readJSON(composedFile);
+
+    const savedSeasonLinks = options.resume ? await loadSeasonLinks(dataDir) : null;
+    savedSeasonLinks && console.log(`Resuming with ${savedSeasonLinks.length} season links saved by an earlier run`);
+
+    const seasonLinks = savedSeasonLinks || await scrapeSeasonsLinks(baseUrl, pageUrl, dataDir, !!options.leaguesOnly, {
+        seasonRange: options.seasonRange,
+        fixtures: options.fixtures,
+        browserPool,
+        archive,
+        database,
+        outputOf
+    });
     if (!seasonLinks) return;
     
     const erroneousData = [];
     const repairedData = [];
     const results = [];
+    // Seasons with matches still to be played aren't checkpointed, so resumed runs pick up their results
+    const upcomingSeasons = [];
+    const markSeasonCompleted = async (season, gameweeks) => {
+        if (gameweeks.some(gw => gw.matches.some(isUnplayed))) upcomingSeasons.push(season);
+        else await checkpoint?.markCompleted(country, tournament, season);
+    };
+
+    /**
+     * Logs the changes of a scraped season since the stored one, then writes the season's outputs unless
+     * `refuseChanges` kept the stored season
+     * @param {Object} entry The season for composed.json
+     * @returns {Promise<Object>} The season to save to composed.json
+     */
+    const settleSeason = async (entry) => {
+        const stored = previous?.data.find(o => o.season === entry.season);
+        const settled = await recordSeasonChanges(dataDir, tournament, stored, entry, { refuseUnexpected: options.refuseChanges });
+        const output = outputOf(entry.season);
+        settled === entry ? await output.commit() : output.discard();
+        return settled;
+    };
 
     console.log(`Season links scraping for ${tournament} completed...\n\n`);
 
+    const pauseBeforeNextSeason = async (i) => {
+        if (i === seasonLinks.length - 1) return;
+        console.log(`Taking ${delay/1000}s delay before processing next season...\n\n`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    };
+
     for (let i = 0; i < seasonLinks.length; i++) {
         const { season, url, leagueStanding } = seasonLinks[i];
+        const id = seasonLinks[i].id ?? parseGsaId(url);
+        const format = seasonLinks[i].format || 'league';
+        const { stages } = seasonLinks[i];
+        const isMultiStage = format === 'league' && stages?.length > 1;
         const outputDir = joinPathnames([dataDir, normalizeFilepath(season)]);
+        const seasonArchive = archive?.withContext({ season, seasonUrl: url });
+        const output = outputOf(season);
+        const seasonDatabase = output.database(database?.season({ season, url, format }));
+        // Kick-off times are converted to UTC, and headers without a year are dated within the season
+        const dateOptions = { timeZone: options.timeZone, season };
 
         console.log(`Processing ${i + 1} of ${seasonLinks.length} seasons [${season}]`);
-        console.log(`Scraping gameweeks for ${season} season`);
 
-        const gameweeks = await scrapeGameweeks(baseUrl, url, outputDir);
+        if (options.resume && checkpoint?.isCompleted(country, tournament, season)) {
+            const saved = await loadCompletedSeason(dataDir, season, url, isMultiStage ? 'stages' : format);
+            if (saved?.stages) {
+                console.log(`${season} season was already scraped. Skipping.\n`);
+                const entry = { season, id, format, stages: saved.stages, leagueStanding };
+                saved.repair && repairedData.push({ id, ...saved.repair });
+                seasonDatabase?.saveStanding(leagueStanding);
+                seasonDatabase && saveRounds(seasonDatabase, saved.stages);
+                results.push(await settleSeason(saved.repair ? markRepaired(entry) : entry));
+                continue;
+            }
+            if (saved && format === 'knockout') {
+                console.log(`${season} season was already scraped. Skipping.\n`);
+                const entry = { season, id, format, rounds: saved.rounds };
+                saved.repair && repairedData.push({ id, ...saved.repair });
+                seasonDatabase && saveRounds(seasonDatabase, saved.rounds);
+                results.push(await settleSeason(saved.repair ? markRepaired(entry) : entry));
+                continue;
+            }
+            if (saved) {
+                console.log(`${season} season was already scraped. Skipping.\n`);
+                seasonDatabase?.saveStanding(leagueStanding);
+                seasonDatabase?.saveGameweeks(saved.gameweeks);
+                const entry = { season, id, gameweeks: saved.gameweeks, leagueStanding };
+                saved.repair && repairedData.push({ id, ...saved.repair });
+                results.push(await settleSeason(saved.repair ? markRepaired(entry) : entry));
+                continue;
+            }
+        }
+
+        if (format === 'knockout') {
+            console.log(`Scraping rounds for ${season} season`);
+            const knockoutOptions = { browserPool, archive: seasonArchive, database: seasonDatabase, output, ...dateOptions };
+            let knockout = await scrapeKnockout(baseUrl, url, outputDir, knockoutOptions);
 
-        // Retrying after erroneous encounter
-        if (gameweeks.hasErrorOccurred) {
-            console.warn(`\nEncountered error on season ${season}`);
-            let isErrorResolved = false;
+            // Like gameweeks, stages that failed are retried on their own and merged into the rounds scraped so far
+            const retriedStages = new Set();
+            let retryCount = 0;
 
-            for (let j = 0; j < maxRescrapeCount; j++) {
-                console.log(`[${j + 1}/${maxRescrapeCount}] Retrying ${season} season...\n`);
-                const gw = await scrapeGameweeks(baseUrl, url, joinPathnames([outputDir, 'retries']), {
-                    uniqueFileId: `${Date.now()}`
+            if (knockout.hasErrorOccurred) {
+                console.warn(`\nEncountered error on season ${season}`);
+            }
+
+            while (knockout.hasErrorOccurred && retryCount < maxRescrapeCount) {
+                const { failedStages } = knockout;
+                console.log(failedStages
+                 ? `[${retryCount + 1}/${maxRescrapeCount}] Retrying ${failedStages.join(', ')} of ${season} season...\n`
+                 : `[${retryCount + 1}/${maxRescrapeCount}] Retrying ${season} season...\n`);
+
+                failedStages?.forEach(stage => retriedStages.add(stage));
+                knockout = await scrapeKnockout(baseUrl, url, outputDir, {
+                    ...knockoutOptions,
+                    stages: failedStages || undefined,
+                    baseRounds: failedStages ? knockout.result : undefined
                 });
-                if (gw.hasErrorOccurred) continue;
-                
-                const s = j + 1 > 1 ? 'retries' : 'retry';
-                console.log(`Error seemingly resolved after ${j + 1} ${s}\n`);
-                repairedData.push({ season, gameweeks: gw.result, leagueStanding });
-                isErrorResolved = true;
-
-                if (j < maxRescrapeCount) break;
+                retryCount++;
+            }
+
+            if (knockout.hasErrorOccurred) {
+                erroneousData.push({ season, id, format, failedStages: knockout.failedStages, rounds: knockout.result });
+                await output.commit();
+            }
+            else {
+                if (retryCount) {
+                    const s = retryCount > 1 ? 'retries' : 'retry';
+                    console.log(`Error seemingly resolved after ${retryCount} ${s}\n`);
+                    repairedData.push({ season, id, format, retries: retryCount, retriedStages: [...retriedStages] });
+                }
+                const entry = { season, id, format, rounds: knockout.result };
+                if (knockout.result.length) results.push(await settleSeason(retryCount ? markRepaired(entry) : entry));
+                else await output.commit();
+                await checkpoint?.markCompleted(country, tournament, season);
             }
 
-            !isErrorResolved && erroneousData.push(gameweeks.result);
+            console.log(`${season} season scraping completed\n`);
+            await pauseBeforeNextSeason(i);
+            continue;
         }
 
-        console.log(`${season} season scraping completed\n`);
-        
-        if (!gameweeks.hasErrorOccurred) {
-            results.push({ season, gameweeks: gameweeks.result, leagueStanding });
+        if (isMultiStage) {
+            console.log(`Scraping stages for ${season} season`);
+            const multiStage = await scrapeLeagueStages(baseUrl, url, outputDir, {
+                stages,
+                checkpoint: checkpoint?.scope(country, tournament, season),
+                resume: options.resume,
+                fixtures: options.fixtures,
+                browserPool,
+                archive: seasonArchive,
+                database: seasonDatabase,
+                output,
+                tiebreakers: options.tiebreakers,
+                maxRescrapeCount,
+                ...dateOptions
+            });
+
+            if (multiStage.hasErrorOccurred) {
+                console.warn(`\nEncountered error on season ${season}`);
+                erroneousData.push({ season, id, format, failedGameweeks: null, stages: multiStage.result });
+                await output.commit();
+            }
+            else {
+                const { repairs } = multiStage;
+                if (repairs.length) {
+                    const retries = Math.max(...repairs.map(repair => repair.retries));
+                    console.log(`Error seemingly resolved after ${retries} ${retries > 1 ? 'retries' : 'retry'}\n`);
+                    repairedData.push({ season, id, format, retries, retriedGameweeks: repairs });
+                }
+                const entry = { season, id, format, stages: multiStage.result, leagueStanding };
+                results.push(await settleSeason(repairs.length ? markRepaired(entry) : entry));
+                await markSeasonCompleted(season, multiStage.result.flatMap(stage => stage.gameweeks));
+            }
+
+            console.log(`${season} season scraping completed\n`);
+            await pauseBeforeNextSeason(i);
+            continue;
         }
 
-        if (!(i === seasonLinks.length - 1)) {
-            console.log(`Taking ${delay/1000}s delay before processing next season...\n\n`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+        console.log(`Scraping gameweeks for ${season} season`);
+
+        // Gameweeks that failed are retried on their own and merged into the gameweeks scraped so far
+        const gameweeks = await scrapeGameweeksWithRetries(baseUrl, url, outputDir, {
+            checkpoint: checkpoint?.scope(country, tournament, season),
+            resume: options.resume,
+            teamIds: teamIdsOf(leagueStanding),
+            standings: leagueStanding,
+            teamCount: leagueStanding.length || undefined,
+            fixtures: options.fixtures,
+            browserPool,
+            archive: seasonArchive,
+            database: seasonDatabase,
+            output,
+            ...dateOptions
+        }, { maxRetries: maxRescrapeCount, label: `${season} season` });
+        const { retryCount, retriedGameweeks } = gameweeks;
+
+        if (isIncompleteScrape(gameweeks)) {
+            erroneousData.push({ season, id, failedGameweeks: gameweeks.failedGameweeks, gameweeks: gameweeks.result });
+            await output.commit();
         }
+        else {
+            if (retryCount) {
+                const s = retryCount > 1 ? 'retries' : 'retry';
+                console.log(`Error seemingly resolved after ${retryCount} ${s}\n`);
+                repairedData.push({ season, id, retries: retryCount, retriedGameweeks });
+            }
+            await reconcileSeasonStandings(gameweeks.result, leagueStanding, { 
+                outputDir, 
+                seasonUrl: url, 
+                seasonId: seasonFileId(url), 
+                tiebreakers: options.tiebreakers,
+                output
+            });
+            const entry = { season, id, gameweeks: gameweeks.result, leagueStanding };
+            results.push(await settleSeason(retryCount ? markRepaired(entry) : entry));
+            await markSeasonCompleted(season, gameweeks.result);
+        }
+
+        console.log(`${season} season scraping completed\n`);
+
+        await pauseBeforeNextSeason(i);
+    }
+
+    if (options.enrichStats && results.length) {
+        console.log(`Enriching match stats of ${tournament}...\n`);
+        await enrichMatchStats(results, { 
+            dataDir, 
+            tournament, 
+            country, 
+            browserPool, 
+            archive, 
+            database 
+        });
     }
 
     if (results.length) {
-        const outputFile = joinPathnames([dataDir, 'composed.json']);
-        await saveJSON(outputFile, { tournament, data: results });
-        console.log(`${results.length} seasons of ${tournament} saved to ${outputFile}`);
+        // Stored seasons left out of this run, e.g. by `--last` or `--from`, are kept
+        await saveComposedSeasons(dataDir, { tournament, id: parseGsaId(pageUrl) }, results);
+        console.log(`${results.length} seasons of ${tournament} saved to ${composedFile}`);
     }
 
     if (!results.length) {
@@ -96,54 +327,95 @@ export default async function scrapeTournament(options) {
 
     if (erroneousData.length) {
         const outputFile = joinPathnames([dataDir, 'erroneous.json']);
-        await saveJSON(outputFile, { tournament, data: erroneousData });
+        await saveJSON(outputFile, { tournament, id: parseGsaId(pageUrl), data: erroneousData });
         console.warn(`${erroneousData.length} season(s) of ${tournament} was erroneous`);
         console.warn(`Results saved to ${outputFile}`);
     }
 
     if (repairedData.length) {
         const outputFile = joinPathnames([dataDir, 'repaired.json']);
-        await saveJSON(outputFile, { tournament, data: repairedData });
+        await saveJSON(outputFile, { tournament, id: parseGsaId(pageUrl), data: repairedData });
         console.log(`${repairedData.length} season(s) of ${tournament} was seemingly repaired after scraping error`);
-        console.log(`Results saved to ${outputFile}`);
+        console.log(`Repaired seasons are marked in composed.json, retries recorded in ${outputFile}`);
     }
 
+    if (upcomingSeasons.length) {
+        console.log(`${upcomingSeasons.join(', ')} season(s) of ${tournament} have matches still to be played and will be scraped again on resume`);
+    }
+    else {
+        await checkpoint?.markCompleted(country, tournament);
+    }
     console.log(`${tournament} scraping completed.\n`);
+    return upcomingSeasons;
 }
 
 
-// /**
-//  * @param {any} results 
-//  * @param {{
-//  *  tournament: string, 
-//  *  country: string
-//  * }} [options={}] 
-//  * @returns 
-//  */
-/*async function enrichedResults(results, options = {}) {
-    const postfix = options.country ? `${options.tournament} (${options.country})` : '';
-    for (let i = 0; i < results.length; i++) {
-        const { season, gameweeks } = results[i];
-        console.log(`[${i + 1}/${results.length}] Enriching ${season} season ${postfix}`);
-        for (let j = 0; j < gameweeks.length; j++) {
-            const { matches } = gameweeks[j];
-            for (let k = 0; k < matches.length; k++) {
-                const { homeTeam, awayTeam, score, statsUrl } = matches[k];
-                let stats = results[i].gameweeks[j].matches[k].stats;
-                try {
-                    if (!stats) {
-                        stats = await scrapeMatchStats(score, statsUrl, { homeTeam, awayTeam });
-                        results[i].gameweeks[j].matches[k].stats = stats;
-                        await new Promise(resolve => setTimeout(resolve, Math.floor((Math.random() * 10) + 1) * 1000));
-                    }
-                }
-                catch (error) {
-                    console.warn(`Error occured while enriching match stats [${statsUrl}]:`, error.message);
-                    results[i].gameweeks[j].matches[k].stats = stats;
-                }
-            }
-        }
-        console.log('\n')
+/**
+ * Rebuilds season links from seasons_list.json and the standings saved next to it
+ * @param {string} dataDir 
+ * @returns {Promise<Array<{ season: string, id: number | null, url: string, format: string, stages?: Array<Object>, leagueStanding: [] }> | null>}
+ */
+async function loadSeasonLinks(dataDir) {
+    const seasons = await readJSON(joinPathnames([dataDir, 'seasons_list.json']));
+    if (!seasons) return null;
+
+    const seasonLinks = [];
+    for (const { season, id, url, format, stages } of seasons) {
+        const seasonId = seasonFileId(url);
+        const standingFile = joinPathnames([dataDir, `${season.replace('/', '_')}/standing_${seasonId}.json`]);
+        seasonLinks.push({ 
+            leagueStanding: await readJSON(standingFile) || [], 
+            season, 
+            id: id ?? parseGsaId(url), 
+            url, 
+            format: format || 'league',
+            ...(stages && { stages })
+        });
     }
-    return results;
-}*/
\ No newline at end of file
+    return seasonLinks;
+}
+
+/**
+ * Loads the gameweeks of a season finished by an earlier run, preferring repaired data.
+ * Earlier versions kept repaired seasons in repaired.json only; now it records the repair
+ * (retried gameweeks), which is returned as `repair` so it is kept when repaired.json is rewritten
+ * and the season is marked repaired in composed.json
+ * @param {string} dataDir 
+ * @param {string} season 
+ * @param {string} url 
+ * @param {'league' | 'knockout' | 'stages'} [format='league'] Multi-stage leagues are loaded as 'stages'
+ * @returns {Promise<{ gameweeks?: Array, rounds?: Array, stages?: Array, repair?: Object } | null>}
+ */
+async function loadCompletedSeason(dataDir, season, url, format = 'league') {
+    const seasonId = seasonFileId(url);
+    const seasonDir = joinPathnames([dataDir, normalizeFilepath(season)]);
+    const repaired = await readJSON(joinPathnames([dataDir, 'repaired.json']));
+    const repairedSeason = repaired?.data.find(o => o.season === season);
+
+    if (format === 'knockout') {
+        const rounds = await readJSON(joinPathnames([seasonDir, `rounds_${seasonId}.json`]));
+        return rounds && { rounds, repair: repairedSeason };
+    }
+    if (format === 'stages') {
+        const stages = await readJSON(joinPathnames([seasonDir, `stages_${seasonId}.json`]));
+        return stages && { stages, repair: repairedSeason };
+    }
+
+    if (repairedSeason?.gameweeks) return { gameweeks: repairedSeason.gameweeks, repair: toRepairRecord(repairedSeason) };
+
+    const gameweeks = await readJSON(joinPathnames([seasonDir, `matches_${seasonId}.json`]));
+    return gameweeks && { gameweeks, repair: repairedSeason };
+}
+
+/**
+ * Writes the rounds of a knockout season, or the stages of a multi-stage league, to the database
+ * @param {{ saveMatches: Function, saveGameweeks: Function, stage: Function }} seasonDatabase 
+ * @param {Array<{ stage: string, matches?: Array, gameweeks?: Array, standings?: Array }>} rounds 
+ */
+function saveRounds(seasonDatabase, rounds) {
+    for (const { stage, matches, gameweeks, standings } of rounds) {
+        standings && seasonDatabase.stage(stage).saveStanding(standings);
+        matches && seasonDatabase.stage(stage).saveMatches(matches);
+        gameweeks && seasonDatabase.stage(stage).saveGameweeks(gameweeks);
+    }
+}
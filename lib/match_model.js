@@ -0,0 +1,91 @@
+import { parseKnockoutScore } from './knockout_ties.js';
+import { parseDateHeader, parseKickoffTime, toUtcTimestamp } from './dates.js';
+
+/** @typedef {'played' | 'scheduled' | 'postponed' | 'abandoned' | 'awarded' | 'cancelled'} MatchStatus */
+
+/** Score or time markers of matches that weren't played as scheduled */
+const statusMarkers = [
+    ['awarded', /\bAWD\b|awarded/i],
+    ['postponed', /\bPOSTP\b|\bPPD\b|postponed/i],
+    ['abandoned', /\bABD\b|\bABAN\b|abandoned/i],
+    ['cancelled', /\bCANC?\b|cancel+ed/i]
+];
+
+/**
+ * Tells the status of a match from its score and kick-off time as listed in a gameweek
+ * @param {string} score
+ * @param {string} [time='']
+ * @returns {MatchStatus}
+ */
+export const parseMatchStatus = (score, time = '') => {
+    for (const [status, pattern] of statusMarkers) {
+        if (pattern.test(score) || pattern.test(time)) return status;
+    }
+    return parseKnockoutScore(score).homeGoals === null ? 'scheduled' : 'played';
+}
+
+/**
+ * Adds typed fields to a scraped match: numeric goals, status, a YYYY-MM-DD date and a UTC kick-off timestamp.
+ * The date header the match was listed under is kept as `dateHeader`, and the time and score strings as scraped.
+ * The kick-off is null when the date or time is unknown, e.g. for matches whose time is still "TBD"
+ * @template {{ date: string, time: string, score: string, dateHeader?: string }} T
+ * @param {T} match
+ * @param {{ timeZone?: string, season?: string }} [options={}] The timezone the site displays times in,
+ * and the season used to date headers without a year
+ * @returns {T & { dateHeader: string, homeGoals: number | null, awayGoals: number | null, status: MatchStatus, kickoff: string | null }}
+ */
+export const normalizeMatch = (match, options = {}) => {
+    const { homeGoals, awayGoals } = parseKnockoutScore(match.score);
+    const dateHeader = match.dateHeader ?? match.date;
+    const date = parseDateHeader(dateHeader, { season: options.season }) ?? dateHeader;
+
+    return {
+        ...match,
+        date,
+        dateHeader,
+        homeGoals,
+        awayGoals,
+        status: parseMatchStatus(match.score, match.time),
+        kickoff: toUtcTimestamp(date, parseKickoffTime(match.time), options.timeZone)
+    };
+}
+
+/**
+ * Whether a match has a result (played or awarded), so it has a stats page worth scraping
+ * @param {{ score: string, time?: string, status?: MatchStatus }} match
+ */
+export const hasResult = (match) => {
+    const status = match.status || parseMatchStatus(match.score || '', match.time);
+    return status === 'played' || status === 'awarded';
+}
+
+/**
+ * Whether a match is still to be played as scheduled, so a later run may find its result
+ * @param {{ score: string, time?: string, status?: MatchStatus }} match
+ */
+export const isScheduled = (match) => (match.status || parseMatchStatus(match.score || '', match.time)) === 'scheduled';
+
+/**
+ * Whether a match is still to be played, as scheduled or postponed, so gameweeks and seasons holding it aren't finished
+ * @param {{ score: string, time?: string, status?: MatchStatus }} match
+ */
+export const isUnplayed = (match) => ['scheduled', 'postponed'].includes(match.status || parseMatchStatus(match.score || '', match.time));
+
+/**
+ * Turns stats listed as "home : away" strings into numeric { home, away } pairs, keeping the strings under `raw`.
+ * Stats that are already typed are passed through, so stats cached by earlier versions can be upgraded
+ * @param {Object<string, any>} stats
+ * @returns {{ raw: Object<string, string | null>, [stat: string]: { home: number, away: number } | null | Object }}
+ */
+export const toStatPairs = (stats) => {
+    if (stats.raw) return stats;
+
+    const pairs = { raw: { ...stats } };
+    for (const [stat, value] of Object.entries(stats)) {
+        const [home, away] = typeof value === 'string' ? value.split(':').map(v => parseFloat(v)) : [];
+        pairs[stat] = Number.isNaN(home) || Number.isNaN(away) || home === undefined || away === undefined
+            ? null
+            : { home, away };
+    }
+    return pairs;
+}
@@ -0,0 +1,34 @@
+import { parseHTML } from 'linkedom';
+
+/**
+ * Turns an HTML string (a full page or a fragment) into a DOM document.
+ * Documents are passed through, so parsers accept either
+ * @param {string | Document} source
+ * @returns {Document}
+ */
+export const toDocument = (source) => {
+    if (typeof source !== 'string') return source;
+    const html = /^\s*(<!doctype|<html)/i.test(source) ? source : `<!DOCTYPE html><html><body>${source}</body></html>`;
+    return parseHTML(html).document;
+}
+
+/**
+ * Resolves a link found in a page against the site's base URL
+ * @param {string} href
+ * @param {string} baseUrl
+ */
+export const toAbsoluteUrl = (href, baseUrl) => {
+    if (!href) return href;
+    if (href.startsWith('//')) return `https:${href}`;
+    return href.startsWith('/') ? `${baseUrl}${href}` : href;
+}
+
+/**
+ * Whether any match on the page has a result, as opposed to fixtures only
+ * @param {string | Document} source
+ */
+export const hasMatchResults = (source) => {
+    const document = toDocument(source);
+    const scoreElements = document.querySelectorAll('.gsa-c-match-c3');
+    return Array.from(scoreElements).some(el => el.textContent.trim() !== ':');
+}
@@ -0,0 +1,136 @@
+import { parseGsaId } from '../ids.js';
+import { parseKnockoutScore } from '../knockout_ties.js';
+import { toDocument } from './dom.js';
+
+/**
+ * Version of the match details layout. Details parsed by an older version (or matches without details)
+ * are upgraded the next time their match page is scraped or re-parsed
+ */
+export const matchDetailsVersion = 2;
+
+/**
+ * @typedef {{ name: string, playerId: number | null, shirtNumber: number | null, position: string | null }} LineupPlayer
+ * @typedef {{ starting: Array<LineupPlayer>, bench: Array<LineupPlayer> }} Lineup
+ * @typedef {{ home: number, away: number }} ScorePair
+ */
+
+/** Labels of the match info rows, by detail */
+const infoLabels = {
+    referee: 'Referee',
+    stadium: 'Stadium',
+    attendance: 'Attendance'
+};
+
+/**
+ * Parses the details of a match page beyond its stats: lineups (starting XIs and benches, with shirt numbers
+ * and positions), coaches, referee, stadium, attendance, half-time score and, for knockout games, the score
+ * after extra time and the penalty shootout. Every detail is null when the page doesn't list it
+ * @param {string | Document} source
+ * @returns {{
+ *  version: number,
+ *  lineups: { home: Lineup, away: Lineup } | null,
+ *  coaches: { home: string | null, away: string | null } | null,
+ *  referee: string | null,
+ *  stadium: string | null,
+ *  attendance: number | null,
+ *  halfTime: ScorePair | null,
+ *  extraTime: ScorePair | null,
+ *  penalties: ScorePair | null
+ * }}
+ */
+export const parseMatchDetails = (source) => {
+    const document = toDocument(source);
+    const info = parseMatchInfo(document);
+    const header = document.querySelector('#match_header_result')?.textContent.replace(/\s+/g, ' ').trim() || '';
+    const knockout = parseKnockoutScore(header);
+
+    const lineups = { home: parseLineup(document, 'a'), away: parseLineup(document, 'b') };
+    const hasLineups = [lineups.home, lineups.away].some(lineup => lineup.starting.length || lineup.bench.length);
+    const coaches = { home: parseCoach(document, 'a'), away: parseCoach(document, 'b') };
+
+    return {
+        version: matchDetailsVersion,
+        lineups: hasLineups ? lineups : null,
+        coaches: coaches.home || coaches.away ? coaches : null,
+        referee: info.referee ?? null,
+        stadium: info.stadium ?? null,
+        attendance: info.attendance ? parseInt(info.attendance.replace(/\D/g, ''), 10) || null : null,
+        halfTime: parseHalfTime(document),
+        extraTime: knockout.extraTime && knockout.homeGoals !== null ? { home: knockout.homeGoals, away: knockout.awayGoals } : null,
+        penalties: knockout.penalties
+    };
+}
+
+/**
+ * Reads the labelled rows of the match info, e.g. "Referee" next to the referee's name
+ * @param {Document} document
+ * @returns {Object<string, string>}
+ */
+function parseMatchInfo(document) {
+    const info = {};
+
+    for (const row of document.querySelectorAll('#match_info .match_info_row')) {
+        const label = row.querySelector('.match_info_label')?.textContent.replace(/:/g, '').trim();
+        const value = row.querySelector('.match_info_value')?.textContent.replace(/\s+/g, ' ').trim();
+        const detail = Object.keys(infoLabels).find(key => infoLabels[key] === label);
+        if (detail && value) info[detail] = value;
+    }
+
+    return info;
+}
+
+/**
+ * Reads the players of a lineup list, i.e. a starting XI or a bench
+ * @param {Document} document
+ * @param {string} selector The list's container
+ * @returns {Array<LineupPlayer>}
+ */
+function parseLineupPlayers(document, selector) {
+    return [...document.querySelectorAll(`${selector} .player_row`)].flatMap(row => {
+        const link = row.querySelector('.col_name a[href]');
+        const name = row.querySelector('.col_name .fullname')?.textContent.replace(/\s+/g, ' ').trim();
+        if (!name) return [];
+
+        const shirt = row.querySelector('.col_shirt')?.textContent.trim();
+        const position = row.querySelector('.col_position')?.textContent.trim();
+        return [{
+            name,
+            playerId: parseGsaId(link?.getAttribute('href')),
+            shirtNumber: shirt && /^\d+$/.test(shirt) ? parseInt(shirt, 10) : null,
+            position: position || null
+        }];
+    });
+}
+
+/**
+ * Reads the lineup of a side ('a' for home, 'b' for away): its starting XI and its bench
+ * @param {Document} document
+ * @param {'a' | 'b'} side
+ * @returns {Lineup}
+ */
+function parseLineup(document, side) {
+    return {
+        starting: parseLineupPlayers(document, `#lineup_team_${side}`),
+        bench: parseLineupPlayers(document, `#bench_team_${side}`)
+    };
+}
+
+/**
+ * @param {Document} document
+ * @param {'a' | 'b'} side
+ * @returns {string | null}
+ */
+function parseCoach(document, side) {
+    const text = document.querySelector(`#coach_team_${side} .fullname`)?.textContent.replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+/**
+ * Reads the half-time score shown under the result, e.g. "(1 : 0)"
+ * @param {Document} document
+ * @returns {ScorePair | null}
+ */
+function parseHalfTime(document) {
+    const match = document.querySelector('#match_header_ht')?.textContent.match(/(\d+)\s*:\s*(\d+)/);
+    return match ? { home: parseInt(match[1], 10), away: parseInt(match[2], 10) } : null;
+}
@@ -0,0 +1,218 @@
+import { toStatPairs } from '../match_model.js';
+import { toDocument } from './dom.js';
+
+/**
+ * Parses the stats of a match page (possession, xG, shots, cards, e.t.c) into numeric { home, away } pairs.
+ * The "home : away" strings read from the page are kept under `raw`.
+ * Returns null when the score on the page doesn't match the expected score
+ * @param {string | Document} source
+ * @param {string} score The score listed in the gameweek, e.g. "2 : 1" or "3 : 0 AWD"
+ * @returns {{
+ *  possession: { home: number, away: number } | null,
+ *  xg: { home: number, away: number } | null,
+ *  shots: { home: number, away: number } | null,
+ *  shotsOnTarget: { home: number, away: number } | null,
+ *  yellowCards: { home: number, away: number } | null,
+ *  redCards: { home: number, away: number } | null,
+ *  corners: { home: number, away: number } | null,
+ *  fouls: { home: number, away: number } | null,
+ *  offsides: { home: number, away: number } | null,
+ *  raw: Object<string, string | null>
+ * } | null}
+ */
+export const parseMatchStats = (source, score) => {
+    const document = toDocument(source);
+
+    const stats = {
+        possession: null,
+        xg: null,
+        shots: null,
+        shotsOnTarget: null,
+        yellowCards: null,
+        redCards: null,
+        corners: null,
+        fouls: null,
+        offsides: null
+    };
+
+    // Verify score
+    const scoreElement = document.querySelector('#match_header_result');
+    if (!scoreElement || normalizeScore(scoreElement.textContent.trim()) !== normalizeScore(score)) {
+        return null;
+    }
+
+    stats.possession = parsePossession(document);
+
+    // Extract other stats (xG, shots, shots on target, corners, fouls, offsides)
+    const statKeys = {
+        'Total Shots': 'shots',
+        'Shots On Target': 'shotsOnTarget',
+        'Corners': 'corners',
+        'Fouls': 'fouls',
+        'Offsides': 'offsides'
+    };
+    for (const stat of document.querySelectorAll('#raids_successful')) {
+        const desc = stat.querySelector('#desc')?.textContent.trim();
+        const homeValue = stat.querySelector('#raids_successful_a')?.textContent.trim();
+        const awayValue = stat.querySelector('#raids_successful_b')?.textContent.trim();
+        if (!desc || !homeValue || !awayValue) continue;
+
+        if (desc === 'xGoals') {
+            stats.xg = isNaN(parseFloat(homeValue)) || isNaN(parseFloat(awayValue)) ? null : `${homeValue} : ${awayValue}`;
+        } 
+        else if (statKeys[desc]) {
+            stats[statKeys[desc]] = isNaN(parseInt(homeValue)) || isNaN(parseInt(awayValue)) ? null : `${homeValue} : ${awayValue}`;
+        }
+    }
+
+    const cards = parseCards(document);
+    stats.yellowCards = `${cards.home.yellow} : ${cards.away.yellow}`;
+    stats.redCards = `${cards.home.red} : ${cards.away.red}`;
+
+    return toStatPairs(stats);
+}
+
+/**
+ * Normalizes a score for comparison (removes spaces, colons and suffixes like 'AWD')
+ * @param {string} s
+ */
+const normalizeScore = (s) => s.replace(/\s/g, '').replace(':', '').replace(/AWD$/, '');
+
+/**
+ * Extracts possession from the doughnut chart script
+ * @param {Document} document
+ * @returns {string | null}
+ */
+function parsePossession(document) {
+    for (const script of document.querySelectorAll('script')) {
+        if (!script.textContent.includes('mySmallDoughnut')) continue;
+
+        const homeMatch = script.textContent.match(/lctText:\s*'(\d+)%'/);
+        const awayMatch = script.textContent.match(/rctText:\s*'(\d+)%'/);
+        const dataMatch = script.textContent.match(/smallDoughnutData\s*=\s*\[\s*{value:\s*(\d+)[^}]*},\s*{value:\s*(\d+)/);
+        const values = homeMatch && awayMatch ? [homeMatch[1], awayMatch[1]] : dataMatch ? [dataMatch[1], dataMatch[2]] : null;
+        if (!values) return null;
+
+        const homePoss = parseInt(values[0]);
+        const awayPoss = parseInt(values[1]);
+        if (homePoss + awayPoss !== 100) {
+            console.warn(`Possession data corrupt: sum is ${homePoss + awayPoss}% (expected 100%)`);
+            return null;
+        }
+        return `${homePoss} : ${awayPoss}`;
+    }
+    return null;
+}
+
+/**
+ * @typedef {'goal' | 'ownGoal' | 'penaltyGoal' | 'missedPenalty' | 'yellowCard' | 'secondYellow' | 'redCard' | 'substitution'} MatchEventType
+ * @typedef {{
+ *  minute: number | null,
+ *  addedTime: number | null,
+ *  side: 'home' | 'away',
+ *  type: MatchEventType,
+ *  player: string | null,
+ *  playerOut?: string | null,
+ *  assist?: string | null
+ * }} MatchEvent
+ */
+
+/** Event types by the file name of their timeline icon */
+const eventIcons = new Map([
+    ['goal.png', 'goal'],
+    ['own_goal.png', 'ownGoal'],
+    ['penalty_goal.png', 'penaltyGoal'],
+    ['penalty_missed.png', 'missedPenalty'],
+    ['yellow.png', 'yellowCard'],
+    ['yellow_red_card.png', 'secondYellow'],
+    ['red.png', 'redCard'],
+    ['substitution.png', 'substitution']
+]);
+
+/**
+ * Tells the event type of a timeline icon from its file name
+ * @param {Element} img
+ * @returns {MatchEventType | null}
+ */
+const eventTypeOf = (img) => eventIcons.get((img.getAttribute('src') || '').split(/[?#]/)[0].split('/').pop()) ?? null;
+
+/**
+ * Reads the minute of a timeline row, e.g. "67'" or "90+3'" (stoppage time as `addedTime`)
+ * @param {Element} row
+ * @returns {{ minute: number | null, addedTime: number | null }}
+ */
+const parseMinute = (row) => {
+    const text = row.querySelector('.timeline_minute')?.textContent || '';
+    const match = text.match(/(\d{1,3})\s*(?:\+\s*(\d{1,2}))?/);
+    return match
+        ? { minute: parseInt(match[1], 10), addedTime: match[2] ? parseInt(match[2], 10) : null }
+        : { minute: null, addedTime: null };
+}
+
+/**
+ * Text of an element without the text of its nested elements matching `nested`
+ * @param {Element | null} element
+ * @param {string} nested
+ */
+const ownText = (element, nested) => {
+    if (!element) return null;
+    let text = element.textContent;
+    element.querySelectorAll(nested).forEach(child => { text = text.replace(child.textContent, ''); });
+    return text.replace(/\s+/g, ' ').trim() || null;
+}
+
+/**
+ * Parses the timeline of a match page into its events: goals (own goals and penalties included), missed penalties,
+ * cards and substitutions, in page order. The second player named next to an event is the player going off
+ * for substitutions, and the assist for goals
+ * @param {string | Document} source
+ * @returns {Array<MatchEvent>}
+ */
+export const parseMatchEvents = (source) => {
+    const events = [];
+
+    for (const row of toDocument(source).querySelectorAll('.timeline_row')) {
+        const { minute, addedTime } = parseMinute(row);
+
+        // Home events are read from the d_v1 span only, as the timeline lists them twice
+        const sides = [
+            ['home', row.querySelector('.timeline_team_a span.d_v1'), 'team_a'],
+            ['away', row.querySelector('.timeline_team_b span.team_b_1'), 'team_b']
+        ];
+        for (const [side, element, prefix] of sides) {
+            if (!element) continue;
+
+            const nameElement = element.matches(`.${prefix}_1`) ? element : element.querySelector(`span.${prefix}_1`);
+            const player = ownText(nameElement, `.${prefix}_2`);
+            const secondPlayer = ownText(row.querySelector(`.timeline_${prefix} .${prefix}_2`), 'img');
+            if (!player) continue;
+
+            for (const img of element.querySelectorAll('img')) {
+                const type = eventTypeOf(img);
+                if (!type) continue;
+
+                const event = { minute, addedTime, side, type, player };
+                if (type === 'substitution') event.playerOut = secondPlayer;
+                if (['goal', 'penaltyGoal'].includes(type)) event.assist = secondPlayer;
+                events.push(event);
+            }
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Counts yellow and red cards from the timeline. A second yellow counts as a yellow and a red card
+ * @param {Document} document
+ */
+function parseCards(document) {
+    const totals = { home: { yellow: 0, red: 0 }, away: { yellow: 0, red: 0 } };
+
+    for (const { side, type } of parseMatchEvents(document)) {
+        if (type === 'yellowCard' || type === 'secondYellow') totals[side].yellow++;
+        if (type === 'redCard' || type === 'secondYellow') totals[side].red++;
+    }
+
+    return totals;
+}
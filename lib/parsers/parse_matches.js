@@ -0,0 +1,121 @@
+import { parseGsaId } from '../ids.js';
+import { normalizeMatch } from '../match_model.js';
+import { toAbsoluteUrl, toDocument } from './dom.js';
+
+/**
+ * Reads the number of gameweeks of a season page
+ * @param {string | Document} source
+ */
+export const parseMaxGameweeks = (source) => {
+    const maxWeekInput = toDocument(source).querySelector('#maxweek');
+    return maxWeekInput ? parseInt(maxWeekInput.getAttribute('value'), 10) : 1;
+}
+
+/**
+ * Reads the gameweek currently displayed in #week_sel, or null when the page has no gameweeks
+ * @param {string | Document} source
+ */
+export const parseCurrentGameweek = (source) => {
+    const text = toDocument(source).querySelector('#week_sel')?.textContent.trim() || '';
+    const match = text.match(/^Gameweek\s+(\d+)/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parses a match anchor (`a` wrapping a `.gsa-c-match-row`) into a typed match record.
+ * The raw date header, time and score strings are kept next to the typed fields
+ * @param {Element} element
+ * @param {string} date The date header the match is listed under
+ * @param {string} baseUrl
+ * @param {{ timeZone?: string, season?: string }} [options={}]
+ * @returns {{
+ *  id: number | null,
+ *  date: string,
+ *  dateHeader: string,
+ *  time: string,
+ *  homeTeam: string,
+ *  awayTeam: string,
+ *  score: string,
+ *  statsUrl: string,
+ *  awarded?: boolean,
+ *  homeGoals: number | null,
+ *  awayGoals: number | null,
+ *  status: import('../match_model.js').MatchStatus,
+ *  kickoff: string | null
+ * }}
+ */
+export const parseMatchRow = (element, date, baseUrl, options = {}) => {
+    const row = element.querySelector('.gsa-c-match-row');
+    const statsUrl = element.getAttribute('href') || '';
+    const score = row.querySelector('.gsa-c-match-c3')?.textContent.trim() || ':';
+
+    return normalizeMatch({
+        id: parseGsaId(statsUrl),
+        date,
+        time: row.querySelector('.gsa-c-match-c1')?.textContent.trim() || 'TBD',
+        homeTeam: row.querySelector('.gsa-c-match-c2 .gsa-c-team_full')?.textContent.trim() || '',
+        awayTeam: row.querySelector('.gsa-c-match-c4 .gsa-c-team_full')?.textContent.trim() || '',
+        score,
+        statsUrl: toAbsoluteUrl(statsUrl, baseUrl),
+        ...(score.includes('AWD') && { awarded: true })
+    }, options);
+}
+
+/**
+ * Parses the matches of the gameweek displayed in #week_container.
+ * Matches are listed under bold date headers
+ * @param {string | Document} source
+ * @param {string} baseUrl
+ * @param {{ timeZone?: string, season?: string }} [options={}]
+ * @returns {Array<ReturnType<typeof parseMatchRow>> | { error: string }}
+ */
+export const parseGameweekMatches = (source, baseUrl, options = {}) => {
+    const weekContainer = toDocument(source).querySelector('#week_container');
+    if (!weekContainer) return { error: 'Missing #week_container' };
+
+    const results = [];
+    let currentDate = '';
+
+    for (const element of Array.from(weekContainer.children)) {
+        if (element.getAttribute('style')?.includes('font-weight:bold')) {
+            currentDate = element.textContent.trim();
+            continue;
+        }
+        if (element.tagName === 'A' && element.querySelector('.gsa-c-match-row')) {
+            const match = parseMatchRow(element, currentDate, baseUrl, options);
+            if (!match.homeTeam || !match.awayTeam || !match.statsUrl) {
+                return { error: `Missing data in gameweek: homeTeam=${match.homeTeam}, awayTeam=${match.awayTeam}, statsUrl=${match.statsUrl}` };
+            }
+            results.push(match);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Parses every match listed on a stage page (e.g. a knockout round), skipping incomplete rows
+ * @param {string | Document} source
+ * @param {string} baseUrl
+ * @param {{ timeZone?: string, season?: string }} [options={}]
+ * @returns {Array<ReturnType<typeof parseMatchRow>>}
+ */
+export const parseStageMatches = (source, baseUrl, options = {}) => {
+    const document = toDocument(source);
+    const results = [];
+    let currentDate = '';
+
+    // Date headers are bold siblings of the match anchors
+    for (const element of document.querySelectorAll('[style*="font-weight:bold"], a')) {
+        if (element.tagName !== 'A') {
+            currentDate = element.textContent.trim();
+            continue;
+        }
+        if (!element.querySelector('.gsa-c-match-row')) continue;
+
+        const match = parseMatchRow(element, currentDate, baseUrl, options);
+        if (match.homeTeam && match.awayTeam) results.push(match);
+    }
+
+    return results;
+}
@@ -0,0 +1,43 @@
+import { seasonLabelPattern } from '../seasons.js';
+import { parseGsaId } from '../ids.js';
+import { toDocument } from './dom.js';
+
+/**
+ * Parses the season drop-down, i.e. the select whose options are season labels
+ * @param {string | Document} source
+ * @returns {Array<{ season: string, id: number | null, url: string }>}
+ */
+export const parseSeasonOptions = (source) => {
+    let seasonSelect = null;
+    toDocument(source).querySelectorAll('select').forEach(select => {
+        if (Array.from(select.querySelectorAll('option')).some(option => seasonLabelPattern.test(option.textContent.trim()))) {
+            seasonSelect = select;
+        }
+    });
+    if (!seasonSelect) return [];
+
+    return Array.from(seasonSelect.querySelectorAll('option')).map(option => ({
+        season: option.textContent.trim(),
+        id: parseGsaId(option.getAttribute('value')),
+        url: option.getAttribute('value')
+    })).filter(option => option.url);
+}
+
+/**
+ * Parses the stage drop-down, i.e. the select linking to competition pages that is not the season drop-down
+ * @param {string | Document} source
+ * @returns {Array<{ stage: string, id: number | null, url: string }>}
+ */
+export const parseStageOptions = (source) => {
+    for (const select of toDocument(source).querySelectorAll('select')) {
+        const options = Array.from(select.querySelectorAll('option'))
+         .filter(option => option.getAttribute('value')?.includes('/competition/'));
+        if (!options.length || options.some(option => seasonLabelPattern.test(option.textContent.trim()))) continue;
+        return options.map(option => ({
+            stage: option.textContent.trim(),
+            id: parseGsaId(option.getAttribute('value')),
+            url: option.getAttribute('value')
+        }));
+    }
+    return [];
+}
@@ -0,0 +1,90 @@
+import { parseGsaId } from '../ids.js';
+import { toDocument } from './dom.js';
+
+/**
+ * Parses the standings table (`.player_row` rows) of a season page. Seasons played in groups or conferences
+ * list one table per group; rows are labelled with their group's title (null when there is a single table)
+ * @param {string | Document} source
+ * @returns {Array<{
+ *  rank: string,
+ *  team: string,
+ *  teamId: number | null,
+ *  group: string | null,
+ *  matchPlayed: number,
+ *  won: number,
+ *  draw: number,
+ *  lost: number,
+ *  goalsScored: number,
+ *  goalsAllowed: number,
+ *  goalDifference: number,
+ *  points: number
+ * }>}
+ */
+export const parseStanding = (source) => {
+    const rows = Array.from(toDocument(source).querySelectorAll('.player_row'));
+    const tables = [...new Set(rows.map(row => row.parentElement))];
+    const results = [];
+
+    tables.forEach((table, i) => {
+        const group = tables.length > 1 ? tableTitleOf(table) || `Group ${i + 1}` : null;
+
+        rows.filter(row => row.parentElement === table).forEach(row => {
+            const readNumber = (selector) => parseInt(row.querySelector(selector)?.textContent.trim() || '0', 10);
+            const rank = row.querySelector('.col_shirt')?.textContent.trim() || '';
+            const team = row.querySelector('.col_name .fullname')?.textContent.trim() || '';
+
+            if (team && rank) {
+                results.push({
+                    rank,
+                    team,
+                    teamId: parseGsaId(row.querySelector('.col_name a[href]')?.getAttribute('href')),
+                    group,
+                    matchPlayed: readNumber('.col_p1'),
+                    won: readNumber('.col_p2'),
+                    draw: readNumber('.col_p3'),
+                    lost: readNumber('.col_p4'),
+                    goalsScored: readNumber('.col_p5'),
+                    goalsAllowed: readNumber('.col_p6'),
+                    goalDifference: readNumber('.col_p7'),
+                    points: readNumber('.col_p8')
+                });
+            }
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Splits standings rows into their groups, in table order
+ * @param {ReturnType<typeof parseStanding>} standings
+ * @returns {Array<{ group: string | null, standings: ReturnType<typeof parseStanding> }>}
+ */
+export const groupStandings = (standings) => {
+    const groups = new Map();
+    for (const row of standings) {
+        const group = row.group ?? null;
+        groups.has(group) || groups.set(group, []);
+        groups.get(group).push(row);
+    }
+    return [...groups.entries()].map(([group, rows]) => ({ group, standings: rows }));
+}
+
+/**
+ * Reads the title of a standings table (e.g. "Group A" or "Eastern Conference") from the header preceding it,
+ * looking up from the table until the previous table is reached
+ * @param {Element} table
+ * @returns {string | null}
+ */
+const tableTitleOf = (table) => {
+    for (let node = table; node && node.tagName !== 'BODY'; node = node.parentElement) {
+        for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+            if (sibling.classList.contains('player_row') || sibling.querySelector('.player_row')) return null;
+
+            const isHeader = /^H[1-6]$/.test(sibling.tagName) || /subheader|title|group|caption/i.test(sibling.className || '');
+            const text = sibling.textContent.trim().replace(/\s+/g, ' ');
+            if (isHeader && text) return text;
+        }
+    }
+    return null;
+}
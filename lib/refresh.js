@@ -0,0 +1,252 @@
+import { joinPathnames, normalizeFilepath, readJSON, withRetry } from '../utils/utilities.js';
+import { estimateMatchesPerGameweek, isIncompleteScrape, scrapeGameweeksWithRetries } from './scrape_gameweeks.js';
+import scrapeLeagueStanding from './scrape_standing.js';
+import enrichMatchStats from './enrich_match_stats.js';
+import createHtmlArchive from './html_archive.js';
+import { isShortGameweek } from './gameweek_verification.js';
+import { matchKey, parseGsaId, seasonFileId, teamIdsOf } from './ids.js';
+import { findTournamentDirs } from './data_dirs.js';
+import { parseSeasonLabel } from './seasons.js';
+import { isUnplayed } from './match_model.js';
+import { reconcileSeasonStandings } from './standings.js';
+import { recordSeasonChanges } from './season_diff.js';
+import { saveComposedSeasons } from './composed.js';
+import createSeasonOutput from './season_output.js';
+
+/** @typedef {'refreshed' | 'upToDate' | 'skipped' | 'failed'} RefreshOutcome */
+
+/**
+ * Brings the current season of every scraped league up to date, without scraping whole competitions again.
+ * The gameweeks saved in matches_<seasonId>.json are kept up to the first one where most matches are unplayed or missing,
+ * and only the gameweeks from there onward are scraped again, along with earlier gameweeks left with a postponed or unplayed match.
+ * The standings are refreshed too, and once the season is checked against the one in composed.json, matches_<seasonId>.json,
+ * standing_<seasonId>.json, round_standings_<seasonId>.json and composed.json rewritten
+ * @param {string} outputDir The data directory
+ * @param {{
+ *  baseUrl: string,
+ *  countries?: Array<string>,
+ *  tournaments?: Array<RegExp>,
+ *  browserPool: ReturnType<typeof import('./browser_pool.js').default>,
+ *  checkpoint?: Awaited<ReturnType<typeof import('./checkpoint.js').default>>,
+ *  database?: Awaited<ReturnType<typeof import('./sqlite_store.js').default>>,
+ *  archive?: boolean,
+ *  enrichStats?: boolean,
+ *  timeZone?: string,
+ *  tiebreakers?: Array<string>,
+ *  delay?: number,
+ *  refuseChanges?: boolean
+ * }} options
+ * @returns {Promise<Object<RefreshOutcome, number>>} The number of tournaments by outcome
+ */
+export default async function refreshCurrentSeasons(outputDir, options) {
+    const summary = { refreshed: 0, upToDate: 0, skipped: 0, failed: 0 };
+    const tournamentDirs = await findTournamentDirs(outputDir, options);
+    const delay = options.delay ?? 5000;
+
+    for (let i = 0; i < tournamentDirs.length; i++) {
+        const { country, tournament, dir } = tournamentDirs[i];
+        console.log(`[${i + 1}/${tournamentDirs.length}] Refreshing ${tournament} in ${country}`);
+
+        const current = await findCurrentSeason(dir);
+        const outcome = current ? await refreshSeason(tournamentDirs[i], current, options) : 'skipped';
+        !current && console.log(`No season of ${tournament} to refresh.`);
+        summary[outcome]++;
+        console.log('\n');
+
+        outcome === 'refreshed' && i < tournamentDirs.length - 1 && await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    console.log(`Refresh completed: ${summary.refreshed} season(s) refreshed, ${summary.upToDate} already up to date, ` +
+        `${summary.failed} failed, ${summary.skipped} skipped.\n`);
+    return summary;
+}
+
+/**
+ * The current season of a tournament is the latest one of its seasons_list.json
+ * @param {string} tournamentDir
+ * @returns {Promise<{ season: string, id?: number, url: string, format?: string, stages?: Array<Object> } | null>}
+ */
+async function findCurrentSeason(tournamentDir) {
+    const seasonsList = await readJSON(joinPathnames([tournamentDir, 'seasons_list.json'])) || [];
+    const startYear = ({ season }) => parseSeasonLabel(season)?.startYear ?? -Infinity;
+    return seasonsList.reduce((latest, season) => !latest || startYear(season) > startYear(latest) ? season : latest, null);
+}
+
+/**
+ * Finds the official round from which a season needs scraping again: the first gameweek where most matches are still to be
+ * played (scheduled or postponed), without matches, or with fewer matches than expected, or the first round missing
+ * from the saved gameweeks. Unplayed matches of otherwise complete rounds, e.g. a postponed match, don't hold the start
+ * back; see `findPendingRounds`
+ * @param {Array<{ gameweek: number, round?: number, matches: Array<Object> }>} gameweeks As saved in matches_<seasonId>.json
+ * @param {number} [teamCount]
+ * @returns {number | null} Null when every gameweek is complete
+ */
+const findRefreshStart = (gameweeks, teamCount) => {
+    if (!gameweeks.length) return 1;
+
+    const rounds = [...gameweeks].sort((a, b) => (a.round ?? a.gameweek) - (b.round ?? b.gameweek));
+    const expectedMatches = estimateMatchesPerGameweek(rounds.length, teamCount);
+
+    for (let i = 0; i < rounds.length; i++) {
+        const round = rounds[i].round ?? rounds[i].gameweek;
+        const { matches } = rounds[i];
+        if (round > i + 1) return i + 1; // A round is missing before this one
+
+        const isUnfinished = !matches.length
+            || isShortGameweek(matches.length, expectedMatches)
+            || matches.filter(isUnplayed).length * 2 > matches.length;
+        if (isUnfinished) return round;
+    }
+    return null;
+}
+
+/**
+ * Lists the official rounds before the refresh start that still have unplayed matches, e.g. a match postponed
+ * in a round otherwise played, to be scraped again on their own
+ * @param {Array<{ gameweek: number, round?: number, matches: Array<Object> }>} gameweeks As saved in matches_<seasonId>.json
+ * @param {number | null} fromGameweek
+ * @returns {Array<number>}
+ */
+const findPendingRounds = (gameweeks, fromGameweek) => gameweeks
+    .map(gw => ({ round: gw.round ?? gw.gameweek, matches: gw.matches }))
+    .filter(({ round, matches }) => (fromGameweek === null || round < fromGameweek) && matches.some(isUnplayed))
+    .map(({ round }) => round)
+    .sort((a, b) => a - b);
+
+/**
+ * Refreshes the current season of a tournament from its first unfinished gameweek, and its earlier gameweeks with unplayed matches
+ * @param {{ country: string, tournament: string, dir: string }} tournamentDir
+ * @param {{ season: string, id?: number, url: string, format?: string, stages?: Array<Object> }} current
+ * @param {Parameters<typeof refreshCurrentSeasons>[1]} options
+ * @returns {Promise<RefreshOutcome>}
+ */
+async function refreshSeason({ country, tournament, dir }, current, options) {
+    const { season, url } = current;
+    if (current.format === 'knockout' || current.stages?.length > 1) {
+        console.log(`${season} season of ${tournament} isn't played as a single league table. Skipping.`);
+        return 'skipped';
+    }
+
+    const seasonDir = joinPathnames([dir, normalizeFilepath(season)]);
+    const seasonId = seasonFileId(url);
+    const matchesFile = joinPathnames([seasonDir, `matches_${seasonId}.json`]);
+    const saved = await readJSON(matchesFile) || [];
+    const savedStanding = await readJSON(joinPathnames([seasonDir, `standing_${seasonId}.json`])) || [];
+
+    const fromGameweek = findRefreshStart(saved, savedStanding.length || undefined);
+    const pendingRounds = findPendingRounds(saved, fromGameweek);
+    if (fromGameweek === null && !pendingRounds.length) {
+        console.log(`${season} season of ${tournament} is up to date.`);
+        return 'upToDate';
+    }
+    pendingRounds.length && console.log(`Gameweeks ${pendingRounds.join(', ')} of ${season} season have unplayed matches and will be scraped again.`);
+    fromGameweek !== null && console.log(`Refreshing ${season} season of ${tournament} from gameweek ${fromGameweek}...`);
+
+    const tournamentArchive = options.archive === false
+     ? undefined
+     : createHtmlArchive(joinPathnames([dir, 'archive'])).withContext({ country, tournament });
+    const archive = tournamentArchive?.withContext({ season, seasonUrl: url });
+    const competitionDatabase = options.database?.competition({ country, tournament });
+    // Nothing is written before the season is checked against the stored one
+    const output = createSeasonOutput();
+    const database = output.database(competitionDatabase?.season({ season, url, format: 'league' }));
+
+    // Tables of seasons without results yet are kept, as they list the teams
+    const scrapedStanding = await options.browserPool.withPage(async (page) => {
+        await withRetry(async () => {
+            await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+        });
+        return scrapeLeagueStanding(page, url, seasonDir, { archive, database, output, fixtures: true });
+    });
+    const leagueStanding = scrapedStanding.length ? scrapedStanding : savedStanding;
+
+    // Like a scrape, rounds that failed are retried on their own before the refresh is given up
+    const gameweeks = await scrapeGameweeksWithRetries(options.baseUrl, url, seasonDir, {
+        fromGameweek: fromGameweek ?? undefined,
+        gameweeks: pendingRounds.length ? pendingRounds : undefined,
+        // Saved gameweeks are numbered chronologically; scraping goes by official round
+        baseGameweeks: saved
+         .map(gw => ({ gameweek: gw.round ?? gw.gameweek, matches: gw.matches }))
+         .filter(({ gameweek }) => (fromGameweek === null || gameweek < fromGameweek) && !pendingRounds.includes(gameweek)),
+        teamIds: teamIdsOf(leagueStanding),
+        standings: leagueStanding,
+        teamCount: leagueStanding.length || undefined,
+        fixtures: true,
+        browserPool: options.browserPool,
+        archive,
+        database,
+        output,
+        timeZone: options.timeZone,
+        season
+    }, { label: `${season} season of ${tournament}` });
+
+    if (isIncompleteScrape(gameweeks)) {
+        // The saved gameweeks stay as they were rather than losing the ones that failed
+        output.discard();
+        console.warn(`${season} season of ${tournament} could not be refreshed. Its saved gameweeks were kept.`);
+        return 'failed';
+    }
+
+    keepMatchPages(saved, gameweeks.result);
+    await reconcileSeasonStandings(gameweeks.result, leagueStanding, {
+        outputDir: seasonDir,
+        seasonUrl: url,
+        seasonId,
+        tiebreakers: options.tiebreakers,
+        output
+    });
+
+    const refreshed = { season, id: current.id ?? parseGsaId(url), gameweeks: gameweeks.result, leagueStanding };
+    // Stats are attached first, so the season is checked and saved once
+    if (options.enrichStats) {
+        await enrichMatchStats([refreshed], { dataDir: dir, tournament, country, browserPool: options.browserPool, archive: tournamentArchive, database: competitionDatabase });
+    }
+    await saveSeason(dir, tournament, refreshed, { ...options, output });
+
+    const isSettled = !gameweeks.result.some(gw => gw.matches.some(isUnplayed));
+    isSettled && await options.checkpoint?.markCompleted(country, tournament, season);
+
+    const played = gameweeks.result.flatMap(gw => gw.matches).filter(match => !isUnplayed(match)).length;
+    const before = saved.flatMap(gw => gw.matches).filter(match => !isUnplayed(match)).length;
+    console.log(`${season} season of ${tournament} refreshed: ${played - before} newly played match(es).`);
+    return 'refreshed';
+}
+
+/**
+ * Carries the stats, events and details of saved matches over to their refreshed version, as long as the score
+ * didn't change, so refreshed gameweeks don't lose what enrichment attached to them
+ * @param {Array<{ matches: Array<Object> }>} saved
+ * @param {Array<{ matches: Array<Object> }>} refreshed
+ */
+function keepMatchPages(saved, refreshed) {
+    const savedMatches = new Map(saved.flatMap(gw => gw.matches).map(match => [matchKey(match), match]));
+    for (const match of refreshed.flatMap(gw => gw.matches)) {
+        const previous = savedMatches.get(matchKey(match));
+        if (!previous || previous.score !== match.score) continue;
+        for (const key of ['stats', 'events', 'details']) {
+            if (previous[key] && !match[key]) match[key] = previous[key];
+        }
+    }
+}
+
+/**
+ * Replaces the season in composed.json (keeping what marks it, e.g. as repaired), see `saveComposedSeasons`.
+ * Changes since the stored season are logged to changelog.log, and with `refuseChanges` unexpected ones keep it as stored.
+ * The season's `output` is written along, or dropped when the stored season is kept
+ * @param {string} tournamentDir
+ * @param {string} tournament
+ * @param {{ season: string, id: number | null, gameweeks: Array<Object>, leagueStanding: Array<Object> }} season
+ * @param {{ refuseChanges?: boolean, output?: ReturnType<typeof createSeasonOutput> }} [options={}]
+ * @returns {Promise<Object>} The season as saved
+ */
+async function saveSeason(tournamentDir, tournament, season, options = {}) {
+    const composed = await readJSON(joinPathnames([tournamentDir, 'composed.json']));
+    const stored = composed?.data.find(o => o.season === season.season);
+    const next = { ...stored, ...season };
+    const entry = await recordSeasonChanges(tournamentDir, tournament, stored, next, { refuseUnexpected: options.refuseChanges });
+    entry === next ? await options.output?.commit() : options.output?.discard();
+
+    const composedFile = await saveComposedSeasons(tournamentDir, { tournament }, [entry]);
+    console.log(`${season.season} season saved to ${composedFile}`);
+    return entry;
+}
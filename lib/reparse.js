@@ -0,0 +1,276 @@
+import fs from 'node:fs/promises';
+import { joinPathnames, normalizeFilepath, readJSON } from '../utils/utilities.js';
+import createHtmlArchive from './html_archive.js';
+import { estimateMatchesPerGameweek, finalizeGameweeks } from './scrape_gameweeks.js';
+import { buildTies } from './knockout_ties.js';
+import { matchKey, parseGsaId, seasonFileId, teamIdsOf } from './ids.js';
+import { markRepaired } from './consolidate.js';
+import { reconcileSeasonStandings } from './standings.js';
+import { labelStageMatches, reconcileStageStandings } from './scrape_stages.js';
+import { parseGameweekMatches, parseMaxGameweeks, parseStageMatches } from './parsers/parse_matches.js';
+import { parseStanding } from './parsers/parse_standing.js';
+import { hasMatchResults } from './parsers/dom.js';
+import { parseMatchEvents, parseMatchStats } from './parsers/parse_match_stats.js';
+import { parseMatchDetails } from './parsers/parse_match_details.js';
+import { recordSeasonChanges } from './season_diff.js';
+import { saveComposedSeasons } from './composed.js';
+import createSeasonOutput from './season_output.js';
+
+/**
+ * Rebuilds matches_<seasonId>.json, standing_<seasonId>.json, round_standings_<seasonId>.json, stages_<seasonId>.json and composed.json of a tournament
+ * from its page archive, without any network access. The latest fetch of every page wins.
+ * Rebuilt seasons are merged into composed.json, see `saveComposedSeasons`.
+ * Seasons listed in erroneous.json have their files rebuilt but are kept out of composed.json, unless repaired.json lists them.
+ * Like scraped seasons, rebuilt ones are checked against composed.json first, and with `refuseChanges` those that changed
+ * unexpectedly keep their files and stored season
+ * @param {string} dataDir The tournament directory
+ * @param {{ tournament?: string, timeZone?: string, tiebreakers?: Array<string>, refuseChanges?: boolean }} [options={}]
+ * @returns {Promise<number>} The number of seasons rebuilt into composed.json
+ */
+export default async function reparseTournament(dataDir, options = {}) {
+    const archive = createHtmlArchive(joinPathnames([dataDir, 'archive']));
+    const entries = await archive.entries();
+    if (!entries.length) {
+        console.warn(`No archived pages found in ${dataDir}`);
+        return 0;
+    }
+
+    const tournament = options.tournament || entries.find(e => e.tournament)?.tournament;
+    const seasonsList = await readJSON(joinPathnames([dataDir, 'seasons_list.json'])) || [];
+    // Seasons recovered by retries stay marked as such
+    const repaired = await readJSON(joinPathnames([dataDir, 'repaired.json']));
+    const repairedSeasons = new Set((repaired?.data || []).map(o => o.season));
+    // Like the live scrape, seasons that failed stay out of composed.json until a retry recovers them
+    const erroneous = await readJSON(joinPathnames([dataDir, 'erroneous.json']));
+    const erroneousSeasons = new Set((erroneous?.data || []).map(o => o?.season).filter(season => season && !repairedSeasons.has(season)));
+    const outputFile = joinPathnames([dataDir, 'composed.json']);
+    const previous = await readJSON(outputFile);
+
+    // Group archived pages by season, in the order of seasons_list.json then of first fetch
+    const seasons = new Map(seasonsList.map(({ season, url, format, stages }) => [url, { season, url, format, stages, entries: [] }]));
+    for (const entry of entries.filter(e => e.seasonUrl)) {
+        if (!seasons.has(entry.seasonUrl)) {
+            seasons.set(entry.seasonUrl, { season: entry.season, url: entry.seasonUrl, entries: [] });
+        }
+        seasons.get(entry.seasonUrl).entries.push(entry);
+    }
+
+    // Match pages are looked up by URL when attaching stats
+    const matchPages = new Map(entries.filter(e => e.kind === 'match').map(e => [e.url, e.hash]));
+    const results = [];
+    /**
+     * @param {Object} entry The rebuilt season
+     * @param {ReturnType<typeof createSeasonOutput>} output Its season files
+     */
+    const addResult = async (entry, output) => {
+        if (erroneousSeasons.has(entry.season)) {
+            console.warn(`${entry.season} season is listed in erroneous.json and was left out of composed.json`);
+            await output.commit();
+            return;
+        }
+        const rebuilt = repairedSeasons.has(entry.season) ? markRepaired(entry) : entry;
+        const stored = previous?.data.find(o => o.season === entry.season);
+        const settled = await recordSeasonChanges(dataDir, tournament, stored, rebuilt, { refuseUnexpected: options.refuseChanges });
+        settled === rebuilt ? await output.commit() : output.discard();
+        results.push(settled);
+    };
+
+    for (const { season, url, format, stages, entries: seasonEntries } of seasons.values()) {
+        if (!seasonEntries.length) continue;
+        console.log(`Re-parsing ${season} season of ${tournament || dataDir}...`);
+
+        const seasonId = seasonFileId(url);
+        const outputDir = joinPathnames([dataDir, normalizeFilepath(season)]);
+        await fs.mkdir(outputDir, { recursive: true });
+        const output = createSeasonOutput();
+
+        const isKnockout = format ? format === 'knockout' : seasonEntries.some(e => e.stage);
+        if (isKnockout) {
+            const rounds = await reparseRounds(archive, seasonEntries, { outputDir, seasonId, timeZone: options.timeZone, season, output });
+            await attachStats(archive, matchPages, rounds.flatMap(r => r.matches || r.gameweeks.flatMap(gw => gw.matches)));
+            await addResult({ season, id: parseGsaId(url), format: 'knockout', rounds }, output);
+            continue;
+        }
+
+        if (stages?.length > 1) {
+            const leagueStanding = await reparseStanding(archive, seasonEntries.filter(e => !e.stage), { outputDir, seasonId, output });
+            const stageResults = await reparseStages(archive, seasonEntries, {
+                outputDir,
+                stages,
+                timeZone: options.timeZone,
+                season,
+                tiebreakers: options.tiebreakers,
+                output
+            });
+            await attachStats(archive, matchPages, stageResults.flatMap(s => s.gameweeks.flatMap(gw => gw.matches)));
+            output.saveJSON(joinPathnames([outputDir, `stages_${seasonId}.json`]), stageResults);
+            await addResult({ season, id: parseGsaId(url), format: 'league', stages: stageResults, leagueStanding }, output);
+            continue;
+        }
+
+        const leagueStanding = await reparseStanding(archive, seasonEntries, { outputDir, seasonId, output });
+        const gameweeks = await reparseGameweeks(archive, seasonEntries.filter(e => e.kind === 'gameweek'), {
+            outputDir,
+            pageUrl: url,
+            teamIds: teamIdsOf(leagueStanding),
+            standings: leagueStanding,
+            timeZone: options.timeZone,
+            season,
+            output
+        });
+        await attachStats(archive, matchPages, gameweeks.flatMap(gw => gw.matches));
+        await reconcileSeasonStandings(gameweeks, leagueStanding, { outputDir, seasonUrl: url, seasonId, tiebreakers: options.tiebreakers, output });
+        await addResult({ season, id: parseGsaId(url), gameweeks, leagueStanding }, output);
+    }
+
+    if (results.length) {
+        // Seasons without archived pages are left as stored
+        await saveComposedSeasons(dataDir, { tournament, id: parseGsaId(entries.find(e => e.kind === 'season')?.url) }, results);
+        console.log(`${results.length} seasons of ${tournament || dataDir} re-parsed into ${outputFile}`);
+    }
+
+    return results.length;
+}
+
+
+/**
+ * Keeps the latest fetch per key
+ * @param {Array<Object>} entries
+ * @param {(entry: Object) => any} keyOf
+ */
+function latestBy(entries, keyOf) {
+    const latest = new Map();
+    entries.forEach(entry => latest.set(keyOf(entry), entry));
+    return latest;
+}
+
+/** Rebuilds standing_<seasonId>.json from the latest archived standings page */
+async function reparseStanding(archive, entries, { outputDir, seasonId, output }) {
+    const standingEntry = [...entries].reverse().find(e => e.kind === 'standing');
+    if (!standingEntry) return [];
+
+    const html = await archive.load(standingEntry.hash);
+    const standings = parseStanding(html);
+    // As in scrape_standing.js, the table of a season without results is a fixtures table listing its teams
+    if (hasMatchResults(html) && !standings.some(s => s.matchPlayed)) return [];
+
+    output.saveJSON(joinPathnames([outputDir, `standing_${seasonId}.json`]), standings);
+    return standings;
+}
+
+/** Rebuilds matches_<seasonId>.json from the latest archived page of every gameweek */
+async function reparseGameweeks(archive, entries, { outputDir, pageUrl, teamIds, standings, timeZone, season, output }) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const pages = latestBy(entries, e => e.gameweek);
+    const gameweeks = [];
+    const matchSignatures = new Set();
+    let maxGameweeks = 1;
+
+    for (const [gameweek, entry] of [...pages].sort((a, b) => a[0] - b[0])) {
+        const html = await archive.load(entry.hash);
+        maxGameweeks = Math.max(maxGameweeks, parseMaxGameweeks(html));
+
+        const matches = parseGameweekMatches(html, new URL(pageUrl).origin, { timeZone, season });
+        if (matches.error) {
+            console.warn(`Gameweek ${gameweek} could not be re-parsed: ${matches.error}`);
+            continue;
+        }
+
+        const newMatches = matches.filter(match => {
+            const signature = matchKey(match);
+            if (matchSignatures.has(signature)) return false;
+            matchSignatures.add(signature);
+            return true;
+        });
+        gameweeks.push({ gameweek, matches: newMatches });
+    }
+
+    return finalizeGameweeks(gameweeks, {
+        pageUrl,
+        outputDir,
+        expectedMatchesPerGameweek: estimateMatchesPerGameweek(maxGameweeks, standings?.length),
+        teamIds,
+        standings,
+        timeZone,
+        season,
+        output
+    });
+}
+
+/** Rebuilds the stages of a multi-stage league season, in seasons_list.json order, from their archived pages */
+async function reparseStages(archive, entries, { outputDir, stages, timeZone, season, tiebreakers, output }) {
+    const results = [];
+
+    for (const { stage, id } of stages) {
+        const stageEntries = entries.filter(e => e.stage === stage);
+        if (!stageEntries.length) continue;
+
+        const { stageUrl } = stageEntries[0];
+        const stageDir = joinPathnames([outputDir, normalizeFilepath(stage)]);
+        await fs.mkdir(stageDir, { recursive: true });
+
+        const standings = await reparseStanding(archive, stageEntries, { outputDir: stageDir, seasonId: seasonFileId(stageUrl), output });
+        const groups = [...new Set(standings.map(row => row.group))].filter(Boolean);
+        const gameweeks = await reparseGameweeks(archive, stageEntries.filter(e => e.kind === 'gameweek'), {
+            outputDir: stageDir,
+            pageUrl: stageUrl,
+            teamIds: teamIdsOf(standings),
+            standings,
+            timeZone,
+            season,
+            output
+        });
+
+        labelStageMatches(gameweeks, stage, standings);
+        await reconcileStageStandings(gameweeks, standings, { outputDir: stageDir, stageUrl, tiebreakers, output });
+        results.push({ stage, id: id ?? parseGsaId(stageUrl), url: stageUrl, groups, standings, gameweeks });
+    }
+
+    return results;
+}
+
+/** Rebuilds rounds_<seasonId>.json of a knockout season from its archived stage pages */
+async function reparseRounds(archive, entries, { outputDir, seasonId, timeZone, season, output }) {
+    const rounds = [];
+    const stages = [...new Set(entries.filter(e => e.stage).map(e => e.stage))];
+
+    for (const stage of stages) {
+        const stageEntries = entries.filter(e => e.stage === stage);
+        const gameweekEntries = stageEntries.filter(e => e.kind === 'gameweek');
+
+        if (gameweekEntries.length) {
+            const { stageUrl } = gameweekEntries[0];
+            const gameweeks = await reparseGameweeks(archive, gameweekEntries, {
+                outputDir: joinPathnames([outputDir, normalizeFilepath(stage)]),
+                pageUrl: stageUrl,
+                timeZone,
+                season,
+                output
+            });
+            rounds.push({ stage, id: parseGsaId(stageUrl), url: stageUrl, type: 'gameweeks', gameweeks });
+            continue;
+        }
+
+        const entry = [...stageEntries].reverse().find(e => e.kind === 'stage');
+        if (!entry) continue;
+        const matches = parseStageMatches(await archive.load(entry.hash), new URL(entry.url).origin, { timeZone, season });
+        rounds.push({ stage, id: parseGsaId(entry.url), url: entry.url, type: 'knockout', matches, ties: buildTies(matches) });
+    }
+
+    output.saveJSON(joinPathnames([outputDir, `rounds_${seasonId}.json`]), rounds);
+    return rounds;
+}
+
+/** Re-parses the stats, events and details of matches whose page was archived */
+async function attachStats(archive, matchPages, matches) {
+    for (const match of matches) {
+        const hash = matchPages.get(match.statsUrl);
+        if (!hash) continue;
+        const html = await archive.load(hash);
+        const stats = parseMatchStats(html, match.score);
+        if (!stats) continue;
+        match.stats = stats;
+        match.events = parseMatchEvents(html);
+        match.details = parseMatchDetails(html);
+    }
+}
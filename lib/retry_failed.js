@@ -0,0 +1,367 @@
+import fs from 'node:fs/promises';
+import { joinPathnames, normalizeFilepath, readJSON, saveJSON } from '../utils/utilities.js';
+import scrapeGameweeks, { isIncompleteScrape } from './scrape_gameweeks.js';
+import scrapeKnockout from './scrape_knockout.js';
+import scrapeLeagueStages from './scrape_stages.js';
+import createHtmlArchive from './html_archive.js';
+import { parseGsaId, seasonFileId, teamIdsOf } from './ids.js';
+import { findTournamentDirs } from './data_dirs.js';
+import { markRepaired } from './consolidate.js';
+import { reconcileSeasonStandings } from './standings.js';
+import { recordSeasonChanges } from './season_diff.js';
+import { saveComposedSeasons } from './composed.js';
+import createSeasonOutput from './season_output.js';
+
+/**
+ * Re-scrapes the seasons, or only the gameweeks, that failed in earlier runs across the data tree.
+ * Failures are collected from every tournament's erroneous.json and from the gameweek_scrape_issues.log
+ * of seasons missing from composed.json. Recovered seasons are merged into composed.json and removed from erroneous.json
+ * @param {string} outputDir The data directory
+ * @param {{
+ *  baseUrl: string,
+ *  countries?: Array<string>,
+ *  tournaments?: Array<RegExp>,
+ *  browserPool?: ReturnType<typeof import('./browser_pool.js').default>,
+ *  checkpoint?: Awaited<ReturnType<typeof import('./checkpoint.js').default>>,
+ *  database?: Awaited<ReturnType<typeof import('./sqlite_store.js').default>>,
+ *  archive?: boolean,
+ *  timeZone?: string,
+ *  tiebreakers?: Array<string>,
+ *  refuseChanges?: boolean,
+ *  delay?: number
+ * }} options With `refuseChanges`, recovered seasons already in composed.json that changed unexpectedly stay as stored
+ * @returns {Promise<{ before: FailureCount, after: FailureCount }>}
+ */
+export default async function retryFailedSeasons(outputDir, options) {
+    const failures = await collectFailures(outputDir, options);
+    const before = countFailures(failures);
+    printSummary('Before', failures);
+
+    if (!before.seasons) {
+        console.log('Nothing to retry.\n');
+        return { before, after: before };
+    }
+
+    const delay = options.delay ?? 5000;
+    for (const failure of failures) {
+        console.log(`Retrying ${failure.seasons.length} season(s) of ${failure.tournament} in ${failure.country}`);
+        for (const season of failure.seasons) {
+            season.recovered = await retrySeason(failure, season, options);
+            // Like erroneous seasons of a scrape, seasons still failing keep what was scraped of them
+            season.recovered || await season.output.commit();
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        await saveRecoveries(failure, options);
+        console.log('\n');
+    }
+
+    const remaining = failures
+     .map(failure => ({ ...failure, seasons: failure.seasons.filter(season => !season.recovered) }))
+     .filter(failure => failure.seasons.length);
+    const after = countFailures(remaining);
+
+    printSummary('Before', failures);
+    printSummary('After', remaining);
+    console.log(`${before.seasons - after.seasons} of ${before.seasons} season(s) recovered.\n`);
+
+    return { before, after };
+}
+
+/** @typedef {{ tournaments: number, seasons: number, gameweeks: number, wholeSeasons: number }} FailureCount */
+
+/**
+ * @typedef {{
+ *  season: string,
+ *  id: number | null,
+ *  url: string,
+ *  format: 'league' | 'knockout',
+ *  stages?: Array<{ stage: string, id: number | null, url: string }>,
+ *  gameweeks: Array<number> | null,
+ *  recovered?: boolean,
+ *  result?: Object,
+ *  output?: ReturnType<typeof createSeasonOutput>
+ * }} FailedSeason
+ */
+
+/**
+ * @typedef {{
+ *  country: string,
+ *  tournament: string,
+ *  dir: string,
+ *  erroneous: { tournament: string, id?: number, data: Array<any> } | null,
+ *  seasons: Array<FailedSeason>
+ * }} TournamentFailures
+ */
+
+/**
+ * Lists the failed seasons of each tournament of the data tree
+ * @param {string} outputDir
+ * @param {{ countries?: Array<string>, tournaments?: Array<RegExp> }} filters
+ * @returns {Promise<Array<TournamentFailures>>}
+ */
+async function collectFailures(outputDir, filters) {
+    const failures = [];
+
+    for (const { country, tournament, dir } of await findTournamentDirs(outputDir, filters)) {
+        const seasonsList = await readJSON(joinPathnames([dir, 'seasons_list.json'])) || [];
+        const erroneous = await readJSON(joinPathnames([dir, 'erroneous.json']));
+        const composed = await readJSON(joinPathnames([dir, 'composed.json']));
+
+        const seasons = await findFailedSeasons(dir, seasonsList, erroneous, composed);
+        seasons.length && failures.push({ country, tournament, dir, erroneous, seasons });
+    }
+
+    return failures;
+}
+
+/**
+ * Failed seasons are the ones listed in erroneous.json, and the ones that logged gameweek errors
+ * without making it into composed.json (e.g. runs that were interrupted, or erroneous.json files of earlier
+ * versions, which didn't name their seasons)
+ * @param {string} tournamentDir
+ * @param {Array<{ season: string, id?: number, url: string, format?: string, stages?: Array<Object> }>} seasonsList
+ * @param {{ data: Array<any> } | null} erroneous
+ * @param {{ data: Array<{ season: string }> } | null} composed
+ * @returns {Promise<Array<FailedSeason>>}
+ */
+async function findFailedSeasons(tournamentDir, seasonsList, erroneous, composed) {
+    const composedSeasons = new Set((composed?.data || []).map(o => o.season));
+    const erroneousSeasons = new Map((erroneous?.data || []).filter(o => o?.season).map(o => [o.season, o]));
+    const seasons = [];
+
+    for (const { season, id, url, format, stages } of seasonsList) {
+        const entry = erroneousSeasons.get(season);
+        const failedSeason = { season, id: id ?? parseGsaId(url), url, format: format || 'league', ...(stages?.length > 1 && { stages }) };
+
+        if (entry) {
+            seasons.push({ ...failedSeason, gameweeks: entry.failedGameweeks ?? null });
+            continue;
+        }
+        if (composedSeasons.has(season) || failedSeason.format === 'knockout' || failedSeason.stages) continue;
+
+        const seasonDir = joinPathnames([tournamentDir, normalizeFilepath(season)]);
+        const issues = await readIssueLog(joinPathnames([seasonDir, 'gameweek_scrape_issues.log']));
+        const errors = issues.filter(issue => issue.type === 'error');
+        if (!errors.length) continue;
+
+        // Gameweeks that errored and never made it into the progress file
+        const progress = await readJSON(joinPathnames([seasonDir, `progress_${seasonFileId(url)}.json`]));
+        const scraped = new Set((progress || []).map(gw => gw.gameweek));
+        const failedGameweeks = [...new Set(errors.map(issue => issue.gameweek).filter(Number.isInteger))]
+         .filter(week => !scraped.has(week))
+         .sort((a, b) => a - b);
+        const isWholeSeason = !progress || errors.some(issue => !Number.isInteger(issue.gameweek));
+
+        if (isWholeSeason || failedGameweeks.length) {
+            seasons.push({ ...failedSeason, gameweeks: isWholeSeason ? null : failedGameweeks });
+        }
+    }
+
+    return seasons;
+}
+
+/**
+ * Re-scrapes a failed season, or only its failed gameweeks merged into the gameweeks scraped earlier
+ * @param {TournamentFailures} failure
+ * @param {FailedSeason} failedSeason
+ * @param {Parameters<typeof retryFailedSeasons>[1]} options
+ * @returns {Promise<boolean>} Whether the season was recovered
+ */
+async function retrySeason(failure, failedSeason, options) {
+    const { country, tournament, dir } = failure;
+    const { season, url, format } = failedSeason;
+    const seasonDir = joinPathnames([dir, normalizeFilepath(season)]);
+    const seasonId = seasonFileId(url);
+
+    const archive = options.archive === false
+     ? undefined
+     : createHtmlArchive(joinPathnames([dir, 'archive'])).withContext({ country, tournament, season, seasonUrl: url });
+    // Season outputs are held back until the recovered season is checked against composed.json
+    const output = failedSeason.output = createSeasonOutput();
+    const database = output.database(options.database?.competition({ country, tournament }).season({ season, url, format }));
+    const dateOptions = { timeZone: options.timeZone, season };
+
+    if (format === 'knockout') {
+        console.log(`Retrying ${season} season...`);
+        const knockout = await scrapeKnockout(options.baseUrl, url, seasonDir, {
+            browserPool: options.browserPool,
+            archive,
+            database,
+            output,
+            ...dateOptions
+        });
+        if (knockout.hasErrorOccurred) return false;
+
+        failedSeason.result = markRepaired({ season, id: failedSeason.id, format, rounds: knockout.result });
+        await options.checkpoint?.markCompleted(country, tournament, season);
+        return true;
+    }
+
+    const leagueStanding = await readJSON(joinPathnames([seasonDir, `standing_${seasonId}.json`])) || [];
+
+    // Stages are scraped again as a whole, their finished gameweeks being skipped by the checkpoint
+    if (failedSeason.stages) {
+        console.log(`Retrying ${season} season...`);
+        const multiStage = await scrapeLeagueStages(options.baseUrl, url, seasonDir, {
+            stages: failedSeason.stages,
+            checkpoint: options.checkpoint?.scope(country, tournament, season),
+            resume: true,
+            browserPool: options.browserPool,
+            archive,
+            database,
+            output,
+            tiebreakers: options.tiebreakers,
+            // Each run of this command is a single retry
+            maxRescrapeCount: 0,
+            ...dateOptions
+        });
+        if (multiStage.hasErrorOccurred) return false;
+
+        failedSeason.result = markRepaired({ season, id: failedSeason.id, format, stages: multiStage.result, leagueStanding });
+        await options.checkpoint?.markCompleted(country, tournament, season);
+        return true;
+    }
+
+    const progress = await readJSON(joinPathnames([seasonDir, `progress_${seasonId}.json`]));
+    const isPartial = Boolean(failedSeason.gameweeks && progress);
+    console.log(isPartial
+     ? `Retrying gameweeks ${failedSeason.gameweeks.join(', ')} of ${season} season...`
+     : `Retrying ${season} season...`);
+
+    const gameweeks = await scrapeGameweeks(options.baseUrl, url, seasonDir, {
+        checkpoint: options.checkpoint?.scope(country, tournament, season),
+        teamIds: teamIdsOf(leagueStanding),
+        standings: leagueStanding,
+        teamCount: leagueStanding.length || undefined,
+        gameweeks: isPartial ? failedSeason.gameweeks : undefined,
+        baseGameweeks: isPartial ? progress : undefined,
+        browserPool: options.browserPool,
+        archive,
+        database,
+        output,
+        ...dateOptions
+    });
+    if (isIncompleteScrape(gameweeks)) return false;
+
+    failedSeason.result = markRepaired({ season, id: failedSeason.id, gameweeks: gameweeks.result, leagueStanding });
+    await reconcileSeasonStandings(gameweeks.result, leagueStanding, { 
+        outputDir: seasonDir, 
+        seasonUrl: url, 
+        seasonId, 
+        tiebreakers: options.tiebreakers,
+        output
+    });
+    await options.checkpoint?.markCompleted(country, tournament, season);
+    return true;
+}
+
+/**
+ * Merges the recovered seasons of a tournament into composed.json (see `saveComposedSeasons`),
+ * records them in repaired.json and removes them from erroneous.json.
+ * Like scraped seasons, they are checked against composed.json first, and their outputs written unless `refuseChanges` keeps them as stored
+ * @param {TournamentFailures} failure
+ * @param {{ refuseChanges?: boolean }} options
+ */
+async function saveRecoveries(failure, options) {
+    const recovered = failure.seasons.filter(season => season.recovered);
+    if (!recovered.length) return;
+
+    const { dir, tournament } = failure;
+    const recoveredSeasons = new Set(recovered.map(({ season }) => season));
+    const id = failure.erroneous?.id ?? null;
+
+    const composed = await readJSON(joinPathnames([dir, 'composed.json']));
+    const seasons = [];
+    for (const { result, output } of recovered) {
+        const stored = composed?.data.find(o => o.season === result.season);
+        const settled = await recordSeasonChanges(dir, tournament, stored, result, { refuseUnexpected: options.refuseChanges });
+        settled === result ? await output.commit() : output.discard();
+        seasons.push(settled);
+    }
+
+    const composedFile = await saveComposedSeasons(dir, { tournament, id }, seasons);
+    console.log(`${recovered.length} recovered season(s) merged into ${composedFile}`);
+
+    const repairedFile = joinPathnames([dir, 'repaired.json']);
+    const repaired = await readJSON(repairedFile) || { tournament, id, data: [] };
+    // Seasons retried by earlier runs count this retry on top of theirs
+    const previousRetries = new Map(repaired.data.map(o => [o.season, o.retries || 0]));
+    repaired.data = [
+        ...repaired.data.filter(o => !recoveredSeasons.has(o.season)),
+        ...recovered.map(({ season, id, gameweeks }) => ({
+            season,
+            id,
+            retries: (previousRetries.get(season) || 0) + 1,
+            retriedGameweeks: gameweeks || 'all'
+        }))
+    ];
+    await saveJSON(repairedFile, repaired);
+
+    if (!failure.erroneous) return;
+
+    // Entries of earlier versions don't name their season, so they go once every failed season is recovered
+    const isFullyRecovered = failure.seasons.every(season => season.recovered);
+    const erroneousFile = joinPathnames([dir, 'erroneous.json']);
+    const data = failure.erroneous.data.filter(o => o?.season ? !recoveredSeasons.has(o.season) : !isFullyRecovered);
+
+    if (data.length) {
+        await saveJSON(erroneousFile, { ...failure.erroneous, data });
+    }
+    else {
+        await fs.rm(erroneousFile, { force: true });
+        console.log(`All failed seasons of ${tournament} recovered, ${erroneousFile} removed`);
+    }
+}
+
+/**
+ * Reads an issue log, i.e. JSON entries appended one after the other
+ * @param {string} filePath
+ * @returns {Promise<Array<{ timestamp: string, seasonUrl: string, type: string, gameweek: number | string, message: string }>>}
+ */
+async function readIssueLog(filePath) {
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return content.split(/\n\n+/).filter(block => block.trim()).flatMap(block => {
+            try {
+                return [JSON.parse(block)];
+            }
+            catch {
+                return [];
+            }
+        });
+    }
+    catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * @param {Array<TournamentFailures>} failures
+ * @returns {FailureCount}
+ */
+function countFailures(failures) {
+    const seasons = failures.flatMap(failure => failure.seasons);
+    return {
+        tournaments: failures.length,
+        seasons: seasons.length,
+        gameweeks: seasons.reduce((count, season) => count + (season.gameweeks?.length || 0), 0),
+        wholeSeasons: seasons.filter(season => !season.gameweeks).length
+    };
+}
+
+/**
+ * @param {string} title
+ * @param {Array<TournamentFailures>} failures
+ */
+function printSummary(title, failures) {
+    const { tournaments, seasons, gameweeks, wholeSeasons } = countFailures(failures);
+    console.log(`${title}: ${seasons} failed season(s) in ${tournaments} tournament(s) ` +
+        `(${gameweeks} gameweek(s) to retry, ${wholeSeasons} season(s) to re-scrape entirely)`);
+
+    for (const { country, tournament, seasons } of failures) {
+        const details = seasons.map(({ season, gameweeks }) => gameweeks ? `${season} [gameweeks ${gameweeks.join(', ')}]` : season);
+        console.log(`  ${country} > ${tournament}: ${details.join('; ')}`);
+    }
+    console.log('');
+}
@@ -1,33 +1,63 @@
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import fs from 'node:fs/promises';
-import { joinPathnames, saveJSON, withRetry } from '../utils/utilities.js';
-import { verifyGameweekData } from './gameweek_verification.js';
+import { joinPathnames, readJSON, saveJSON, withRetry } from '../utils/utilities.js';
+import createBrowserPool from './browser_pool.js';
+import { isShortGameweek, verifyGameweekData } from './gameweek_verification.js';
+import { linkTeamIds, matchKey, seasonFileId } from './ids.js';
+import { isUnplayed, normalizeMatch } from './match_model.js';
 import { sortGameweeksByDate } from './sort_gameweeks.js';
-
-puppeteer.use(StealthPlugin());
+import { hasMatchResults } from './parsers/dom.js';
+import { parseGameweekMatches, parseMaxGameweeks } from './parsers/parse_matches.js';
 
 /**
- * Scrapes Gameweeks with robust navigation using #weeks div
+ * Scrapes Gameweeks with robust navigation using #weeks div.
+ * A subset of gameweeks can be scraped with `gameweeks` (e.g. the ones that failed), `fromGameweek` or both, and merged with
+ * gameweeks scraped earlier (`baseGameweeks`), in which case the merged season is verified and saved.
+ * With `fixtures`, seasons without results yet are scraped too. Gameweeks with scheduled or postponed matches are never
+ * checkpointed as completed, so a later run scrapes them again and updates their matches once played
  * @param {string} baseUrl 
  * @param {string} pageUrl 
  * @param {string} outputDir 
  * @param {{
  *  expectedMatchesPerGameweek?: number | undefined, 
- *  uniqueFileId?: string
+ *  teamCount?: number,
+ *  uniqueFileId?: string,
+ *  gameweeks?: Array<number>,
+ *  fromGameweek?: number,
+ *  baseGameweeks?: Array<{ gameweek: number, matches: Array<Object> }>,
+ *  teamIds?: Map<string, number>,
+ *  standings?: Array<{ team: string, matchPlayed: number }>,
+ *  timeZone?: string,
+ *  season?: string,
+ *  checkpoint?: { isCompleted: Function, markCompleted: Function },
+ *  resume?: boolean,
+ *  fixtures?: boolean,
+ *  browserPool?: ReturnType<typeof createBrowserPool>,
+ *  archive?: ReturnType<typeof import('./html_archive.js').default>,
+ *  database?: { saveGameweeks: Function },
+ *  output?: ReturnType<typeof import('./season_output.js').default>
  * }} options
  * @returns {Promise<{
  *  hasErrorOccurred: boolean, 
+ *  failedGameweeks: Array<number> | null,
+ *  scrapedGameweeks: Array<{ gameweek: number, matches: Array<Object> }>,
  *  result: Array<{
  *   gameweek: number, 
  *   matches: Array<{
+ *     id: number | null,
  *     date: string, 
+ *     dateHeader: string,
  *     time: string, 
  *     homeTeam: string, 
  *     awayTeam: string, 
  *     score: string, 
  *     statsUrl: string,
- *     awarded?: boolean
+ *     homeTeamId?: number | null,
+ *     awayTeamId?: number | null,
+ *     awarded?: boolean,
+ *     homeGoals: number | null,
+ *     awayGoals: number | null,
+ *     status: import('./match_model.js').MatchStatus,
+ *     kickoff: string | null
  *   }>
  *  }
  * }>>}
@@ -35,20 +65,39 @@ puppeteer.use(StealthPlugin());
 export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, options = {}) {
     await fs.mkdir(outputDir, { recursive: true });
     
-    const browser = await puppeteer.launch({ headless: true, timeout: 60000 * 5 });
-    const page = await browser.newPage();
-
-    // Set headers to mimic a real browser
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    await page.setExtraHTTPHeaders({
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Referer': baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`
-    });
+    const browserPool = options.browserPool || createBrowserPool({ baseUrl });
+    const page = await browserPool.acquire();
 
     const allMatches = [];
-    const matchSignatures = new Set(); // Track unique matches
+    const matchSignatures = new Set(); // Track unique matches by ID
     let errorSignal = false; // Track error occurrence
+    const failedGameweeks = []; // Gameweeks given up on after retries
+
+    // Gameweeks scraped so far are kept in a progress file so an interrupted season can be resumed
+    const seasonId = seasonFileId(pageUrl);
+    const fileId = options.uniqueFileId ? '.' + options.uniqueFileId : "";
+    const progressFile = joinPathnames([outputDir, `progress_${seasonId}${fileId}.json`]);
+
+    if (options.resume && options.checkpoint) {
+        const progress = await readJSON(progressFile) || [];
+        for (const gw of progress) {
+            if (!options.checkpoint.isCompleted(gw.gameweek)) continue;
+            gw.matches.forEach(match => matchSignatures.add(matchKey(match)));
+            allMatches.push(gw);
+        }
+        allMatches.length && console.log(`Resuming with ${allMatches.length} gameweeks scraped by an earlier run.`);
+    }
+
+    // Gameweeks scraped by an earlier attempt, e.g. before only the failed ones are retried
+    for (const gw of options.baseGameweeks || []) {
+        if (allMatches.some(o => o.gameweek === gw.gameweek)) continue;
+        gw.matches.forEach(match => matchSignatures.add(matchKey(match)));
+        allMatches.push(gw);
+    }
+    const resumedGameweeks = new Set(allMatches.map(gw => gw.gameweek));
+    const selectedGameweeks = options.gameweeks && new Set(options.gameweeks);
+    /** @param {number} week */
+    const isSelected = (week) => selectedGameweeks?.has(week) || (options.fromGameweek ? week >= options.fromGameweek : !selectedGameweeks);
 
     /**
      * Log errors or warnings to a file
@@ -63,7 +112,7 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
             message: issue.message,
             details: issue.details || {}
         };
-        const filename = `gameweek_scrape_issues${options.uniqueFileId ? '.' + options.uniqueFileId : ""}.log`;
+        const filename = `gameweek_scrape_issues${fileId}.log`;
         await saveJSON(joinPathnames([outputDir, filename]), logEntry, true);
     }
 
@@ -74,32 +123,40 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
         });
 
         // Check if the season has results
-        const hasResults = await page.evaluate(() => {
-            const scoreElements = document.querySelectorAll('.gsa-c-match-c3');
-            return Array.from(scoreElements).some(el => el.textContent.trim() !== ':');
-        });
+        const seasonHtml = await page.content();
+        const hasResults = hasMatchResults(seasonHtml);
 
-        if (!hasResults) {
+        if (!hasResults && options.fixtures) {
+            console.log('No match results found for this season yet. Scraping fixtures.');
+        }
+        else if (!hasResults) {
             await logIssue({
                 seasonUrl: pageUrl,
                 message: 'No match results found for this season (e.g., only fixtures available). Skipping season.',
                 type: 'warning'
             });
             console.warn('No match results found for this season. Skipping.');
-            return [];
+            return { hasErrorOccurred: false, failedGameweeks: [], scrapedGameweeks: [], result: [] };
         }
 
         // Get max gameweeks
-        const maxGameweeks = await page.evaluate(() => {
-            const maxWeekInput = document.querySelector('#maxweek');
-            return maxWeekInput ? parseInt(maxWeekInput.value, 10) : 1;
-        });
-        console.log(`Found ${maxGameweeks} gameweeks to scrape.`);
+        const maxGameweeks = parseMaxGameweeks(seasonHtml);
+        selectedGameweeks && options.fromGameweek
+         ? console.log(`Scraping gameweeks ${[...selectedGameweeks].join(', ')} and ${options.fromGameweek} to ${maxGameweeks}.`)
+         : selectedGameweeks
+         ? console.log(`Scraping gameweeks ${[...selectedGameweeks].join(', ')} of ${maxGameweeks}.`)
+         : options.fromGameweek
+         ? console.log(`Scraping gameweeks ${options.fromGameweek} to ${maxGameweeks}.`)
+         : console.log(`Found ${maxGameweeks} gameweeks to scrape.`);
 
         // Calculate expected matches per gameweek
-        const calculatedMatchesPerGameweek = Math.floor((maxGameweeks + 2) / 2 / 2);
+        const calculatedMatchesPerGameweek = estimateMatchesPerGameweek(maxGameweeks, options.teamCount);
         const finalExpectedMatches = options.expectedMatchesPerGameweek || calculatedMatchesPerGameweek;
-        console.log(`Expecting ~${finalExpectedMatches} matches per gameweek${options.expectedMatchesPerGameweek ? ' (user-specified)' : ' (calculated assuming double round-robin format)'}.`);
+        console.log(`Expecting ~${finalExpectedMatches} matches per gameweek${options.expectedMatchesPerGameweek 
+         ? ' (user-specified)' 
+         : options.teamCount 
+         ? ` (${describeLeagueFormat(maxGameweeks, options.teamCount)})` 
+         : ' (calculated assuming double round-robin format)'}.`);
 
         // Navigate to Gameweek 1
         await withRetry(async () => {
@@ -144,6 +201,12 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
 
         // Scrape all gameweeks
         for (let week = 1; week <= maxGameweeks; week++) {
+            if (!isSelected(week)) continue;
+            if (resumedGameweeks.has(week)) {
+                console.log(`Gameweek ${week} was already scraped. Skipping.`);
+                continue;
+            }
+
             console.log(`Scraping gameweek ${week}...`);
 
             let retryCount = 0;
@@ -165,8 +228,25 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
                             const hasDropdown = await page.evaluate(() => !!document.querySelector('#week_select'));
                             if (hasDropdown) {
                                 await page.select('#week_select', String(week));
-                            } else if (week > 1) {
-                                await page.click('#week_next');
+                            } else {
+                                // Step forward until the gameweek is reached, as earlier ones may have been skipped
+                                const readWeek = () => page.evaluate(() => {
+                                    const weekText = document.querySelector('#week_sel')?.textContent || 'Gameweek 1';
+                                    return parseInt(weekText.match(/\d+/)[0], 10);
+                                });
+                                let currentGameweek = await readWeek();
+                                while (currentGameweek < week) {
+                                    await page.click('#week_next');
+                                    await page.waitForFunction(
+                                        (prev) => {
+                                            const text = document.querySelector('#week_sel')?.textContent;
+                                            return text && parseInt(text.match(/\d+/)[0], 10) > prev;
+                                        },
+                                        { timeout: 60000 },
+                                        currentGameweek
+                                    );
+                                    currentGameweek = await readWeek();
+                                }
                             }
                         }
                         await page.waitForFunction(
@@ -194,45 +274,9 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
                     });
 
                     // Extract match data
-                    matches = await page.evaluate(() => {
-                        const weekContainer = document.querySelector('#week_container');
-                        const children = Array.from(weekContainer.children);
-                        const results = [];
-                        let currentDate = '';
-
-                        for (let i = 0; i < children.length; i++) {
-                            const element = children[i];
-                            if (element.getAttribute('style')?.includes('font-weight:bold')) {
-                                currentDate = element.textContent.trim();
-                                continue;
-                            }
-                            if (element.tagName === 'A' && element.querySelector('.gsa-c-match-row')) {
-                                const row = element.querySelector('.gsa-c-match-row');
-                                const statsUrl = element.getAttribute('href') || '';
-                                const time = row.querySelector('.gsa-c-match-c1')?.textContent.trim() || 'TBD';
-                                const homeTeam = row.querySelector('.gsa-c-match-c2 .gsa-c-team_full')?.textContent.trim() || '';
-                                const awayTeam = row.querySelector('.gsa-c-match-c4 .gsa-c-team_full')?.textContent.trim() || '';
-                                const score = row.querySelector('.gsa-c-match-c3')?.textContent.trim() || ':';
-                                const awarded = score.includes('AWD');
-
-                                if (homeTeam && awayTeam && statsUrl) {
-                                    results.push({
-                                        date: currentDate,
-                                        time,
-                                        homeTeam,
-                                        awayTeam,
-                                        score,
-                                        statsUrl: statsUrl.startsWith('//') ? `https:${statsUrl}` : statsUrl.startsWith('/') ? `${baseUrl}${statsUrl}` : statsUrl,
-                                        ...(awarded && { awarded: true })
-                                    });
-                                } else {
-                                    return { error: `Missing data in gameweek: homeTeam=${homeTeam}, awayTeam=${awayTeam}, statsUrl=${statsUrl}` };
-                                }
-                            }
-                        }
-
-                        return results;
-                    });
+                    const html = await page.content();
+                    await options.archive?.store(html, { kind: 'gameweek', url: pageUrl, gameweek: week });
+                    matches = parseGameweekMatches(html, baseUrl, { timeZone: options.timeZone, season: options.season });
 
                     // Handle errors in match data
                     if (matches.error) {
@@ -243,7 +287,7 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
                     const newMatches = [];
                     const duplicates = [];
                     matches.forEach((match, index) => {
-                        const signature = `${match.homeTeam}|${match.awayTeam}|${match.date}|${match.score}`;
+                        const signature = matchKey(match);
                         if (matchSignatures.has(signature)) {
                             duplicates.push({ match, index });
                         } else {
@@ -267,7 +311,7 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
                     }
 
                     // Check match count
-                    if (newMatches.length < Math.floor(finalExpectedMatches * 0.5)) {
+                    if (isShortGameweek(newMatches.length, finalExpectedMatches)) {
                         errorSignal = true;
                         await logIssue({
                             seasonUrl: pageUrl,
@@ -284,6 +328,9 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
                     allMatches.push({ gameweek: week, matches: newMatches });
                     gameweekSuccess = true;
 
+                    await saveJSON(progressFile, allMatches);
+                    newMatches.some(isUnplayed) || await options.checkpoint?.markCompleted(week);
+
                 } 
                 catch (error) {
                     errorSignal = true;
@@ -304,6 +351,7 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
 
             if (!gameweekSuccess) {
                 errorSignal = true;
+                failedGameweeks.push(week);
                 console.warn(`Skipping gameweek ${week} after ${maxRetries} failed attempts.`);
                 continue;
             }
@@ -311,25 +359,20 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
             await new Promise(resolve => setTimeout(resolve, 3000 + Math.random() * 2000));
         }
 
-        // Verify gameweek data
-        const { data: verifiedData, report: verificationReport } = await verifyGameweekData(allMatches, finalExpectedMatches, pageUrl, outputDir);
-
-        // Log verification report
-        verificationReport.forEach(({ type, message, details }) => {
-            console.log(`[${type.toUpperCase()}] ${message}`, JSON.stringify(details, null, 2));
+        const sortedMatches = await finalizeGameweeks(allMatches, {
+            pageUrl,
+            outputDir,
+            expectedMatchesPerGameweek: finalExpectedMatches,
+            uniqueFileId: options.uniqueFileId,
+            teamIds: options.teamIds,
+            standings: options.standings,
+            timeZone: options.timeZone,
+            season: options.season,
+            output: options.output
         });
+        options.database?.saveGameweeks(sortedMatches);
 
-        // Sort gameweeks by date
-        const sortedMatches = sortGameweeksByDate(verifiedData);
-    
-        // Save results to JSON file
-        const seasonId = pageUrl.split('/').slice(-2, -1)[0];
-        const fn = `matches_${seasonId}${options.uniqueFileId ? '.' + options.uniqueFileId : ""}.json`;
-        const outputFile = joinPathnames([outputDir, fn]);
-        await saveJSON(outputFile, sortedMatches);
-        console.log(`Results saved to ${outputFile}`);
-
-        return { hasErrorOccurred: errorSignal,  result: sortedMatches };
+        return { hasErrorOccurred: errorSignal, failedGameweeks, scrapedGameweeks: allMatches, result: sortedMatches };
     } 
     
     catch (error) {
@@ -339,8 +382,134 @@ export default async function scrapeGameweeks(baseUrl, pageUrl, outputDir, optio
             message: error.message,
             outputDir
         });
-        return { hasErrorOccurred: true, result: [] };
+        // The failed gameweeks aren't known, so the whole season needs scraping again
+        return { hasErrorOccurred: true, failedGameweeks: null, scrapedGameweeks: allMatches, result: [] };
     } 
     
-    finally { await browser.close() }
-}
\ No newline at end of file
+    finally {
+        await browserPool.release(page);
+        options.browserPool || await browserPool.close();
+    }
+}
+
+/**
+ * Whether a scrape left gameweeks missing. Errors recovered by the gameweek retries leave none
+ * @param {{ hasErrorOccurred: boolean, failedGameweeks?: Array<number> | null }} gameweeks
+ */
+export const isIncompleteScrape = (gameweeks) => gameweeks.hasErrorOccurred && gameweeks.failedGameweeks?.length !== 0;
+
+/**
+ * Scrapes gameweeks, then retries the gameweeks that failed on their own, merged into the gameweeks scraped so far.
+ * The whole selection of gameweeks (by default the season or stage) is only scraped again when the failed gameweeks aren't known
+ * @param {string} baseUrl
+ * @param {string} pageUrl
+ * @param {string} outputDir
+ * @param {Parameters<typeof scrapeGameweeks>[3]} options
+ * @param {{ maxRetries?: number, label: string }} retryOptions What is scraped (e.g. "2023/2024 season"), for logging
+ * @returns {Promise<Awaited<ReturnType<typeof scrapeGameweeks>> & { retryCount: number, retriedGameweeks: Array<number> }>}
+ */
+export async function scrapeGameweeksWithRetries(baseUrl, pageUrl, outputDir, options, { maxRetries = 3, label }) {
+    let gameweeks = await scrapeGameweeks(baseUrl, pageUrl, outputDir, options);
+    const retriedGameweeks = new Set();
+    let retryCount = 0;
+
+    if (isIncompleteScrape(gameweeks)) {
+        console.warn(`\nEncountered error on ${label}`);
+    }
+
+    while (isIncompleteScrape(gameweeks) && retryCount < maxRetries) {
+        const { failedGameweeks } = gameweeks;
+        console.log(failedGameweeks
+         ? `[${retryCount + 1}/${maxRetries}] Retrying gameweeks ${failedGameweeks.join(', ')} of ${label}...\n`
+         : `[${retryCount + 1}/${maxRetries}] Retrying ${label}...\n`);
+
+        failedGameweeks?.forEach(week => retriedGameweeks.add(week));
+        gameweeks = await scrapeGameweeks(baseUrl, pageUrl, outputDir, {
+            ...options,
+            resume: false,
+            gameweeks: failedGameweeks || options.gameweeks,
+            fromGameweek: failedGameweeks ? undefined : options.fromGameweek,
+            baseGameweeks: failedGameweeks ? gameweeks.scrapedGameweeks : options.baseGameweeks
+        });
+        retryCount++;
+    }
+
+    return { ...gameweeks, retryCount, retriedGameweeks: [...retriedGameweeks] };
+}
+
+/**
+ * Estimates matches per gameweek. With the number of teams in the standings, every team plays once per gameweek,
+ * except one team sitting out each gameweek when the count is odd. Otherwise it is estimated from the number of
+ * gameweeks, assuming a double round-robin format
+ * @param {number} maxGameweeks 
+ * @param {number} [teamCount]
+ */
+export const estimateMatchesPerGameweek = (maxGameweeks, teamCount) => teamCount >= 2 
+    ? Math.floor(teamCount / 2) 
+    : Math.floor((maxGameweeks + 2) / 2 / 2);
+
+/**
+ * Describes a league's format from its team and gameweek counts, e.g. "20 teams, 2 rounds over 38 gameweeks".
+ * A round is every team meeting every other team once, over N-1 gameweeks (N with a bye when N is odd)
+ * @param {number} maxGameweeks 
+ * @param {number} teamCount 
+ */
+const describeLeagueFormat = (maxGameweeks, teamCount) => {
+    const gameweeksPerRound = teamCount % 2 ? teamCount : teamCount - 1;
+    const rounds = maxGameweeks / gameweeksPerRound;
+    const roundCount = Number.isInteger(rounds) ? rounds : `~${rounds.toFixed(1)}`;
+    return `${teamCount} teams, ${roundCount} round(s) over ${maxGameweeks} gameweeks`;
+}
+
+/**
+ * Types, verifies and sorts scraped gameweeks, links their teams to GSA IDs when known, 
+ * then saves them to matches_<seasonId>.json, or to the season's `output` to be written once it is committed
+ * @param {Array<{ gameweek: number, matches: Array<Object> }>} gameweeks 
+ * @param {{
+ *  pageUrl: string,
+ *  outputDir: string,
+ *  expectedMatchesPerGameweek: number,
+ *  uniqueFileId?: string,
+ *  teamIds?: Map<string, number>,
+ *  standings?: Array<{ team: string, matchPlayed: number }>,
+ *  timeZone?: string,
+ *  season?: string,
+ *  output?: ReturnType<typeof import('./season_output.js').default>
+ * }} options 
+ */
+export async function finalizeGameweeks(gameweeks, options) {
+    const { pageUrl, outputDir } = options;
+
+    // Progress files of earlier versions hold untyped matches
+    const typedGameweeks = gameweeks.map(gw => ({
+        ...gw,
+        matches: gw.matches.map(match => normalizeMatch(match, { timeZone: options.timeZone, season: options.season }))
+    }));
+
+    // Verify gameweek data
+    const { data: verifiedData, report: verificationReport } = await verifyGameweekData(
+        typedGameweeks, 
+        options.expectedMatchesPerGameweek, 
+        pageUrl, 
+        outputDir, 
+        { standings: options.standings, uniqueFileId: options.uniqueFileId }
+    );
+
+    // Log verification report
+    verificationReport.forEach(({ code, severity, message, details }) => {
+        console.log(`[${severity.toUpperCase()}] ${code}: ${message}`, JSON.stringify(details, null, 2));
+    });
+
+    // Sort gameweeks by date
+    const sortedMatches = sortGameweeksByDate(verifiedData);
+    sortedMatches.forEach(gw => linkTeamIds(gw.matches, options.teamIds || new Map()));
+
+    // Save results to JSON file
+    const seasonId = seasonFileId(pageUrl);
+    const fn = `matches_${seasonId}${options.uniqueFileId ? '.' + options.uniqueFileId : ""}.json`;
+    const outputFile = joinPathnames([outputDir, fn]);
+    await (options.output?.saveJSON || saveJSON)(outputFile, sortedMatches);
+    console.log(`Results saved to ${outputFile}`);
+
+    return sortedMatches;
+}
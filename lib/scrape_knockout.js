@@ -0,0 +1,156 @@
+import fs from 'node:fs/promises';
+import { joinPathnames, normalizeFilepath, saveJSON, withRetry } from '../utils/utilities.js';
+import createBrowserPool from './browser_pool.js';
+import scrapeGameweeks from './scrape_gameweeks.js';
+import { discoverStages } from './stages.js';
+import { seasonFileId } from './ids.js';
+import { buildTies } from './knockout_ties.js';
+import { parseCurrentGameweek, parseStageMatches } from './parsers/parse_matches.js';
+
+/**
+ * Scrapes a cup or other knockout competition season stage by stage.
+ * Knockout rounds are returned with their matches grouped into ties, while stages
+ * played in gameweeks (group stages, league phases) are scraped as gameweeks.
+ * Given `stages`, only those stages are scraped, and the other ones are taken from `baseRounds`
+ * @param {string} baseUrl
+ * @param {string} pageUrl
+ * @param {string} outputDir
+ * @param {{
+ *  browserPool?: ReturnType<typeof createBrowserPool>,
+ *  uniqueFileId?: string,
+ *  archive?: ReturnType<typeof import('./html_archive.js').default>,
+ *  database?: { saveMatches: Function, stage: Function },
+ *  output?: ReturnType<typeof import('./season_output.js').default>,
+ *  timeZone?: string,
+ *  season?: string,
+ *  stages?: Array<string>,
+ *  baseRounds?: Array<{ stage: string }>
+ * }} [options={}]
+ * @returns {Promise<{
+ *  hasErrorOccurred: boolean,
+ *  failedStages: Array<string> | null,
+ *  result: Array<{
+ *   stage: string,
+ *   id: number | null,
+ *   url: string,
+ *   type: 'knockout' | 'gameweeks',
+ *   matches?: Array<Object>,
+ *   ties?: Array<Object>,
+ *   gameweeks?: Array<Object>
+ *  }>
+ * }>}
+ */
+export default async function scrapeKnockout(baseUrl, pageUrl, outputDir, options = {}) {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const browserPool = options.browserPool || createBrowserPool({ baseUrl });
+    const fileId = options.uniqueFileId ? '.' + options.uniqueFileId : "";
+    const rounds = [];
+    const failedStages = [];
+    let errorSignal = false;
+
+    /**
+     * Log errors or warnings to a file
+     * @param {{ seasonUrl: string, message: string, stage?: string, type?: string }} issue
+     */
+    async function logIssue(issue) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            seasonUrl: issue.seasonUrl,
+            type: issue.type || 'error',
+            stage: issue.stage || 'N/A',
+            message: issue.message
+        };
+        await saveJSON(joinPathnames([outputDir, `knockout_scrape_issues${fileId}.log`]), logEntry, true);
+    }
+
+    try {
+        const stages = await browserPool.withPage(async (page) => {
+            await withRetry(async () => {
+                await page.goto(pageUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+            });
+            return discoverStages(page, pageUrl);
+        });
+        console.log(`Found ${stages.length} stages: ${stages.map(s => s.stage).join(', ')}`);
+
+        for (const { stage, id, url } of stages) {
+            const stageUrl = url.startsWith('http') ? url : `${baseUrl}${url}`;
+            const baseRound = options.baseRounds?.find(round => round.stage === stage);
+            if (options.stages && !options.stages.includes(stage) && baseRound) {
+                rounds.push(baseRound);
+                continue;
+            }
+            console.log(`Scraping ${stage}...`);
+
+            try {
+                // The page is released before scraping gameweeks, which need a page of their own
+                const stageData = await browserPool.withPage(async (page) => {
+                    await withRetry(async () => {
+                        await page.goto(stageUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+                    });
+
+                    const isGameweekStage = parseCurrentGameweek(await page.content()) !== null;
+                    if (isGameweekStage) return { isGameweekStage };
+
+                    const hasMatches = await page.waitForSelector('.gsa-c-match-row', { timeout: 45000 }).then(() => true, () => false);
+                    if (!hasMatches) return { matches: [] };
+
+                    const html = await page.content();
+                    await options.archive?.store(html, { kind: 'stage', url: stageUrl, stage });
+                    return { matches: parseStageMatches(html, baseUrl, { timeZone: options.timeZone, season: options.season }) };
+                });
+
+                if (stageData.isGameweekStage) {
+                    const gameweeks = await scrapeGameweeks(baseUrl, stageUrl, joinPathnames([outputDir, normalizeFilepath(stage)]), {
+                        browserPool,
+                        uniqueFileId: options.uniqueFileId,
+                        archive: options.archive?.withContext({ stage, stageUrl }),
+                        database: options.database?.stage(stage),
+                        output: options.output,
+                        timeZone: options.timeZone,
+                        season: options.season
+                    });
+                    if (gameweeks.hasErrorOccurred && gameweeks.failedGameweeks?.length !== 0) {
+                        errorSignal = true;
+                        failedStages.push(stage);
+                    }
+                    rounds.push({ stage, id, url: stageUrl, type: 'gameweeks', gameweeks: gameweeks.result });
+                    continue;
+                }
+
+                if (!stageData.matches.length) {
+                    await logIssue({ seasonUrl: stageUrl, stage, type: 'warning', message: `No matches found in ${stage}` });
+                    console.warn(`No matches found in ${stage}`);
+                }
+                rounds.push({ stage, id, url: stageUrl, type: 'knockout', matches: stageData.matches, ties: buildTies(stageData.matches) });
+                options.database?.stage(stage).saveMatches(stageData.matches);
+            }
+            catch (error) {
+                errorSignal = true;
+                failedStages.push(stage);
+                await logIssue({ seasonUrl: stageUrl, stage, message: `Failed to scrape ${stage}: ${error.message}` });
+                console.error(`Failed to scrape ${stage}: ${error.message}`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 3000 + Math.random() * 2000));
+        }
+
+        const seasonId = seasonFileId(pageUrl);
+        const outputFile = joinPathnames([outputDir, `rounds_${seasonId}${fileId}.json`]);
+        await (options.output?.saveJSON || saveJSON)(outputFile, rounds);
+        console.log(`Results saved to ${outputFile}`);
+
+        return { hasErrorOccurred: errorSignal, failedStages, result: rounds };
+    }
+
+    catch (error) {
+        console.error('Error scraping knockout season:', error.message);
+        await logIssue({ seasonUrl: pageUrl, message: error.message });
+        // The failed stages aren't known, so the whole season is to be scraped again
+        return { hasErrorOccurred: true, failedStages: null, result: rounds };
+    }
+
+    finally {
+        options.browserPool || await browserPool.close();
+    }
+}
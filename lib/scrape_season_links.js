@@ -1,30 +1,40 @@
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import fs from 'node:fs/promises';
 import { joinPathnames, saveJSON, withRetry } from '../utils/utilities.js';
+import createBrowserPool from './browser_pool.js';
 import scrapeLeagueStanding from './scrape_standing.js';
-
-puppeteer.use(StealthPlugin());
+import { seasonLabelPattern, selectSeasons } from './seasons.js';
+import { discoverStages, isKnockoutStage } from './stages.js';
+import { parseSeasonOptions } from './parsers/parse_seasons.js';
+import { parseCurrentGameweek } from './parsers/parse_matches.js';
 
 /**
  * Scrapes seasons drop-down menus and/or anchors
  * @param {string} baseUrl 
  * @param {string} pageUrl
  * @param {string} outputDir 
- * @returns {Promise<Array<{ season: string, url: string, leagueStanding: [] }>>}
+ * @param {boolean} [leaguesOnly=false]
+ * @param {{
+ *  seasonRange?: { from?: number, to?: number, last?: number },
+ *  browserPool?: ReturnType<typeof createBrowserPool>,
+ *  archive?: ReturnType<typeof import('./html_archive.js').default>,
+ *  database?: { season: Function },
+ *  outputOf?: (season: string) => ReturnType<typeof import('./season_output.js').default>,
+ *  fixtures?: boolean
+ * }} [options={}] With `fixtures`, league seasons without results yet are kept for their scheduled matches.
+ * With `outputOf`, the standings of a season are written when the output of the season is committed
+ * @returns {Promise<Array<{ 
+ *  season: string, 
+ *  id: number | null, 
+ *  url: string, 
+ *  format: 'league' | 'knockout', 
+ *  stages?: Array<{ stage: string, id: number | null, url: string }>, 
+ *  leagueStanding: [] 
+ * }>>} Leagues played in several stages (e.g. split into championship and relegation groups) list them as `stages`
  */
-export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, leaguesOnly = false) {
+export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, leaguesOnly = false, options = {}) {
     await fs.mkdir(outputDir, { recursive: true });
-    const browser = await puppeteer.launch({ headless: true, timeout: 60000 * 5 });
-    const page = await browser.newPage();
-
-    // Set headers to mimic a real browser
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    await page.setExtraHTTPHeaders({
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Referer': baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`
-    });
+    const browserPool = options.browserPool || createBrowserPool({ baseUrl });
+    const page = await browserPool.acquire();
 
     try {
         // Navigate to the base season page
@@ -36,11 +46,12 @@ export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, le
         await withRetry(async () => {
             await page.waitForSelector('select', { timeout: 45000 });
             await page.waitForFunction(
-                () => {
+                (pattern) => {
+                    const seasonLabel = new RegExp(pattern);
                     const selects = document.querySelectorAll('select');
                     let seasonSelect = null;
                     selects.forEach(select => {
-                        if (Array.from(select.options).some(option => option.textContent.match(/20\d{2}\/20\d{2}/))) {
+                        if (Array.from(select.options).some(option => seasonLabel.test(option.textContent.trim()))) {
                             seasonSelect = select;
                         }
                     });
@@ -49,13 +60,14 @@ export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, le
                     window.__prevOptionCount = seasonSelect.options.length;
                     return seasonSelect.options.length > 0 && seasonSelect.options.length === prevCount;
                 },
-                { timeout: 45000 }
+                { timeout: 45000 },
+                seasonLabelPattern.source
             );
         });
 
         if (leaguesOnly) {
-            const isLeague = await isLeagueCompetition(pageUrl, page);
-            if (!isLeague) {
+            const { format } = await detectCompetitionFormat(pageUrl, page);
+            if (format !== 'league') {
                 await logIssue({
                     seasonUrl: pageUrl, 
                     outputDir,
@@ -67,20 +79,9 @@ export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, le
         }
 
         // Get season URLs from the dropdown
-        const seasonOptions = await page.evaluate(() => {
-            const selects = document.querySelectorAll('select');
-            let seasonSelect = null;
-            selects.forEach(select => {
-                if (Array.from(select.options).some(option => option.textContent.match(/20\d{2}\/20\d{2}/))) {
-                    seasonSelect = select;
-                }
-            });
-            if (!seasonSelect) return [];
-            return Array.from(seasonSelect.options).map(option => ({
-                season: option.textContent.trim(),
-                url: option.value
-            })).filter(option => option.url);
-        });
+        const html = await page.content();
+        await options.archive?.store(html, { kind: 'season', url: pageUrl });
+        const seasonOptions = parseSeasonOptions(html);
 
         if (seasonOptions.length === 0) {
             const htmlSnapshot = await page.evaluate(() => {
@@ -98,10 +99,8 @@ export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, le
             return [];
         }
 
-        // Filter seasons (2019/2020 to 2025/2026)
-        const targetSeasons = seasonOptions.filter(option => {
-            return option.season.match(/2019\/2020|20[2-5][0-6]\/20[2-6][0-7]/);
-        });
+        // Filter seasons (2019 onwards unless a season range is given)
+        const targetSeasons = selectSeasons(seasonOptions, options.seasonRange);
 
         console.log(`Found ${targetSeasons.length} seasons to check: ${targetSeasons.map(s => s.season).join(', ')}`);
 
@@ -116,15 +115,38 @@ export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, le
                     await page.goto(seasonUrl, { waitUntil: 'networkidle2', timeout: 60000 });
                 });
 
-                const standings = await scrapeLeagueStanding(
+                // Cups have no standings; their rounds are checked for results by the knockout scraper
+                const { format, stages } = await detectCompetitionFormat(seasonUrl, page);
+                const output = options.outputOf?.(season.season);
+                const database = format === 'league' ? options.database?.season({ season: season.season, url: season.url, format }) : undefined;
+                const standings = format === 'league' ? await scrapeLeagueStanding(
                     page, 
                     seasonUrl, 
-                    joinPathnames([outputDir, season.season.replace('/', '_')])
-                );
+                    joinPathnames([outputDir, season.season.replace('/', '_')]),
+                    {
+                        archive: options.archive?.withContext({ season: season.season, seasonUrl }),
+                        database: output ? output.database(database) : database,
+                        output,
+                        fixtures: options.fixtures
+                    }
+                ) : [];
                 
-                if (standings.length) {
-                    validSeasons.push({ leagueStanding: standings, ...season });
-                    console.log(`Season ${season.season} has match results and will be scraped.`);
+                if (format === 'knockout' && leaguesOnly) {
+                    console.warn(`Season ${season.season} is played as a knockout competition. Skipping.`);
+                }
+
+                else if (format === 'knockout') {
+                    validSeasons.push({ format, leagueStanding: standings, ...season });
+                    console.log(`Season ${season.season} is a knockout competition and will be scraped by rounds.`);
+                }
+
+                else if (standings.length || options.fixtures) {
+                    const isMultiStage = stages.length > 1;
+                    const content = standings.some(row => row.matchPlayed) ? 'match results' : 'fixtures only';
+                    validSeasons.push({ format, leagueStanding: standings, ...season, ...(isMultiStage && { stages }) });
+                    console.log(isMultiStage
+                     ? `Season ${season.season} has ${content} and will be scraped in ${stages.length} stages: ${stages.map(s => s.stage).join(', ')}.`
+                     : `Season ${season.season} has ${content} and will be scraped.`);
                 }
 
                 else {
@@ -152,7 +174,7 @@ export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, le
         // Save season list for debugging
         const outputFile = joinPathnames([outputDir, 'seasons_list.json']);
         await saveJSON(outputFile, validSeasons.map(o => { 
-            return { season: o.season, url: o.url }
+            return { season: o.season, id: o.id, url: o.url, format: o.format, ...(o.stages && { stages: o.stages }) }
         }));
 
         console.log(`Valid seasons saved to ${outputFile}`);
@@ -176,7 +198,10 @@ export default async function scrapeSeasonsLinks(baseUrl, pageUrl, outputDir, le
         return [];
     }
 
-    finally { await browser.close() }
+    finally {
+        await browserPool.release(page);
+        options.browserPool || await browserPool.close();
+    }
 }
 
 
@@ -201,6 +226,20 @@ async function logIssue(issue) {
     await saveJSON(joinPathnames([issue.outputDir, 'seasons_scrape_issues.log']), logEntry, true);
 }
 
+/**
+ * Tells gameweek-based leagues from cups and other knockout competitions, and lists the stages of the season.
+ * A competition with knockout stages (finals, qualifying rounds, round of 16...) is treated as knockout
+ * even when some of its stages are played in gameweeks
+ * @param {string} url 
+ * @param {any} page 
+ * @returns {Promise<{ format: 'league' | 'knockout', stages: Array<{ stage: string, id: number | null, url: string }> }>}
+ */
+async function detectCompetitionFormat(url, page) {
+    const stages = await discoverStages(page, url).catch(() => []);
+    if (stages.some(({ stage }) => isKnockoutStage(stage))) return { format: 'knockout', stages };
+    return { format: await isLeagueCompetition(url, page) ? 'league' : 'knockout', stages };
+}
+
 /**
  * Checks URL to see if it's a league URL or not
  * @param {string} url 
@@ -210,11 +249,7 @@ async function logIssue(issue) {
 async function isLeagueCompetition(url, page) {
     try {
         // Try to find element with 'Gameweek N'
-        const isGameweekExists = await page.evaluate(() => {
-            const el = document.querySelector('#week_sel');
-            if (!el) return false;
-            return /^Gameweek\s+\d+/i.test(el.innerText.trim());
-        });
+        const isGameweekExists = parseCurrentGameweek(await page.content()) !== null;
 
         return isGameweekExists;
     } 
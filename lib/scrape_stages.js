@@ -0,0 +1,198 @@
+import fs from 'node:fs/promises';
+import { joinPathnames, normalizeFilepath, saveJSON, withRetry } from '../utils/utilities.js';
+import createBrowserPool from './browser_pool.js';
+import { isIncompleteScrape, scrapeGameweeksWithRetries } from './scrape_gameweeks.js';
+import scrapeLeagueStanding from './scrape_standing.js';
+import { seasonFileId, teamIdsOf } from './ids.js';
+import { groupStandings } from './parsers/parse_standing.js';
+import { reconcileSeasonStandings } from './standings.js';
+
+/**
+ * Scrapes a league season played in several stages, e.g. a regular season followed by championship
+ * and relegation groups, or conferences. Every stage is scraped with its own standings and gameweeks,
+ * and its matches are labelled with the stage and, when the stage is played in groups, the group of their teams.
+ * Like league seasons, gameweeks that fail are retried on their own, up to `maxRescrapeCount` times per stage
+ * @param {string} baseUrl
+ * @param {string} pageUrl
+ * @param {string} outputDir
+ * @param {{
+ *  stages: Array<{ stage: string, id: number | null, url: string }>,
+ *  browserPool?: ReturnType<typeof createBrowserPool>,
+ *  checkpoint?: { isCompleted: Function, markCompleted: Function, scope: Function },
+ *  resume?: boolean,
+ *  fixtures?: boolean,
+ *  archive?: ReturnType<typeof import('./html_archive.js').default>,
+ *  database?: { stage: Function },
+ *  output?: ReturnType<typeof import('./season_output.js').default>,
+ *  timeZone?: string,
+ *  season?: string,
+ *  tiebreakers?: Array<string>,
+ *  maxRescrapeCount?: number
+ * }} options
+ * @returns {Promise<{
+ *  hasErrorOccurred: boolean,
+ *  repairs: Array<{ stage: string, retries: number, retriedGameweeks: Array<number> }>,
+ *  result: Array<{
+ *   stage: string,
+ *   id: number | null,
+ *   url: string,
+ *   groups: Array<string>,
+ *   standings: Array<Object>,
+ *   gameweeks: Array<Object>
+ *  }>
+ * }>}
+ */
+export default async function scrapeLeagueStages(baseUrl, pageUrl, outputDir, options) {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const browserPool = options.browserPool || createBrowserPool({ baseUrl });
+    const stages = [];
+    // Stages whose failed gameweeks were recovered by retries
+    const repairs = [];
+    let errorSignal = false;
+
+    /**
+     * Log errors or warnings to a file
+     * @param {{ seasonUrl: string, message: string, stage?: string, type?: string }} issue
+     */
+    async function logIssue(issue) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            seasonUrl: issue.seasonUrl,
+            type: issue.type || 'error',
+            stage: issue.stage || 'N/A',
+            message: issue.message
+        };
+        await saveJSON(joinPathnames([outputDir, 'stage_scrape_issues.log']), logEntry, true);
+    }
+
+    try {
+        console.log(`Scraping ${options.stages.length} stages: ${options.stages.map(s => s.stage).join(', ')}`);
+
+        for (const { stage, id, url } of options.stages) {
+            const stageUrl = url.startsWith('http') ? url : `${baseUrl}${url}`;
+            const stageDir = joinPathnames([outputDir, normalizeFilepath(stage)]);
+            const archive = options.archive?.withContext({ stage, stageUrl });
+            const database = options.database?.stage(stage);
+            console.log(`Scraping ${stage}...`);
+
+            try {
+                const standings = await browserPool.withPage(async (page) => {
+                    await withRetry(async () => {
+                        await page.goto(stageUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+                    });
+                    return scrapeLeagueStanding(page, stageUrl, stageDir, { archive, database, output: options.output, fixtures: options.fixtures });
+                });
+                const groups = groupStandings(standings);
+
+                const gameweeks = await scrapeGameweeksWithRetries(baseUrl, stageUrl, stageDir, {
+                    checkpoint: options.checkpoint?.scope(stage),
+                    resume: options.resume,
+                    fixtures: options.fixtures,
+                    teamIds: teamIdsOf(standings),
+                    standings,
+                    // Groups play side by side, so the largest team count doesn't tell the matches per gameweek
+                    teamCount: groups.length > 1 ? undefined : standings.length || undefined,
+                    browserPool,
+                    archive,
+                    database,
+                    output: options.output,
+                    timeZone: options.timeZone,
+                    season: options.season
+                }, { maxRetries: options.maxRescrapeCount, label: stage });
+                if (isIncompleteScrape(gameweeks)) {
+                    errorSignal = true;
+                    await logIssue({ seasonUrl: stageUrl, stage, message: `Gameweeks of ${stage} could not all be scraped` });
+                }
+                else if (gameweeks.retryCount) {
+                    repairs.push({ stage, retries: gameweeks.retryCount, retriedGameweeks: gameweeks.retriedGameweeks });
+                }
+
+                labelStageMatches(gameweeks.result, stage, standings);
+                await reconcileStageStandings(gameweeks.result, standings, {
+                    outputDir: stageDir,
+                    stageUrl,
+                    tiebreakers: options.tiebreakers,
+                    output: options.output
+                });
+
+                stages.push({
+                    stage,
+                    id,
+                    url: stageUrl,
+                    groups: groups.map(o => o.group).filter(Boolean),
+                    standings,
+                    gameweeks: gameweeks.result
+                });
+            }
+            catch (error) {
+                errorSignal = true;
+                await logIssue({ seasonUrl: stageUrl, stage, message: `Failed to scrape ${stage}: ${error.message}` });
+                console.error(`Failed to scrape ${stage}: ${error.message}`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 3000 + Math.random() * 2000));
+        }
+
+        const seasonId = seasonFileId(pageUrl);
+        const outputFile = joinPathnames([outputDir, `stages_${seasonId}.json`]);
+        await (options.output?.saveJSON || saveJSON)(outputFile, stages);
+        console.log(`Results saved to ${outputFile}`);
+
+        return { hasErrorOccurred: errorSignal, repairs, result: stages };
+    }
+
+    catch (error) {
+        console.error('Error scraping league stages:', error.message);
+        await logIssue({ seasonUrl: pageUrl, message: error.message });
+        return { hasErrorOccurred: true, repairs, result: stages };
+    }
+
+    finally {
+        options.browserPool || await browserPool.close();
+    }
+}
+
+/**
+ * Labels the matches of a stage with the stage and the group of their teams (null when the stage has no groups)
+ * @param {Array<{ matches: Array<{ homeTeam: string, awayTeam: string }> }>} gameweeks
+ * @param {string} stage
+ * @param {Array<{ team: string, group: string | null }>} standings
+ */
+export function labelStageMatches(gameweeks, stage, standings) {
+    const groupOfTeam = new Map(standings.filter(row => row.group).map(row => [row.team, row.group]));
+    for (const gw of gameweeks) {
+        gw.matches = gw.matches.map(match => ({
+            ...match,
+            stage,
+            group: groupOfTeam.get(match.homeTeam) ?? groupOfTeam.get(match.awayTeam) ?? null
+        }));
+    }
+}
+
+/**
+ * Rebuilds and reconciles the tables of a stage group by group, into round_standings_<stageId>.<group>.json
+ * (round_standings_<stageId>.json when the stage has no groups)
+ * @param {Array<{ gameweek: number, matches: Array<{ group?: string | null }> }>} gameweeks Labelled by labelStageMatches
+ * @param {Array<{ team: string, group: string | null }>} standings
+ * @param {{
+ *  outputDir: string,
+ *  stageUrl: string,
+ *  tiebreakers?: Array<string>,
+ *  output?: ReturnType<typeof import('./season_output.js').default>
+ * }} options
+ */
+export async function reconcileStageStandings(gameweeks, standings, { outputDir, stageUrl, tiebreakers, output }) {
+    for (const { group, standings: groupTable } of groupStandings(standings)) {
+        const groupGameweeks = gameweeks
+         .map(gw => ({ ...gw, matches: gw.matches.filter(match => (match.group ?? null) === group) }))
+         .filter(gw => gw.matches.length);
+        await reconcileSeasonStandings(groupGameweeks, groupTable, {
+            outputDir,
+            seasonUrl: stageUrl,
+            seasonId: group ? `${seasonFileId(stageUrl)}.${normalizeFilepath(group)}` : seasonFileId(stageUrl),
+            tiebreakers,
+            output
+        });
+    }
+}
@@ -1,19 +1,43 @@
 //import puppeteer from 'puppeteer';
 import fs from 'node:fs/promises';
 import { joinPathnames, saveJSON, withRetry } from '../utils/utilities.js';
+import { seasonFileId } from './ids.js';
+import { hasMatchResults } from './parsers/dom.js';
+import { parseStanding } from './parsers/parse_standing.js';
 
 
-export default async function scrapeLeagueStanding(page, pageUrl, outputDir) {
+/**
+ * Scrapes the standings table of the season loaded in the page
+ * @param {import('puppeteer').Page} page 
+ * @param {string} pageUrl 
+ * @param {string} outputDir 
+ * @param {{
+ *  archive?: ReturnType<typeof import('./html_archive.js').default>,
+ *  database?: { saveStanding: Function },
+ *  output?: ReturnType<typeof import('./season_output.js').default>,
+ *  fixtures?: boolean
+ * }} [options={}] With `fixtures`, the table of a season without results (every team on zero) is kept too.
+ * With `output`, standing_<seasonId>.json is written when the season's output is committed
+ */
+export default async function scrapeLeagueStanding(page, pageUrl, outputDir, options = {}) {
     await fs.mkdir(outputDir, { recursive: true });
+    const save = options.output?.saveJSON || saveJSON;
 
     console.log('Scraping league standing...');
 
     try {
         // Check if the season has results by looking for at least one score
-        const hasResults = await page.evaluate(() => {
-            const scoreElements = document.querySelectorAll('.gsa-c-match-c3');
-            return Array.from(scoreElements).some(el => el.textContent.trim() !== ':');
-        });
+        const seasonHtml = await page.content();
+        const hasResults = hasMatchResults(seasonHtml);
+
+        // Before the first match is played the table only lists the teams, which still tells who plays the season
+        const fixtureTable = !hasResults && options.fixtures ? parseStanding(seasonHtml) : [];
+        if (fixtureTable.length) {
+            await options.archive?.store(seasonHtml, { kind: 'standing', url: pageUrl });
+            await save(joinPathnames([outputDir, `standing_${seasonFileId(pageUrl)}.json`]), fixtureTable);
+            options.database?.saveStanding(fixtureTable);
+            return fixtureTable;
+        }
 
         if (!hasResults) {
             const message = 'No match results found for this season (e.g., only fixtures available). Skipping standings scrape.';
@@ -42,40 +66,9 @@ export default async function scrapeLeagueStanding(page, pageUrl, outputDir) {
         });
 
         // Extract standings data
-        const standings = await page.evaluate(() => {
-            const rows = document.querySelectorAll('.player_row');
-            const results = [];
-
-            rows.forEach(row => {
-                const rank = row.querySelector('.col_shirt')?.textContent.trim() || '';
-                const team = row.querySelector('.col_name .fullname')?.textContent.trim() || '';
-                const matchPlayed = parseInt(row.querySelector('.col_p1')?.textContent.trim() || '0', 10);
-                const won = parseInt(row.querySelector('.col_p2')?.textContent.trim() || '0', 10);
-                const draw = parseInt(row.querySelector('.col_p3')?.textContent.trim() || '0', 10);
-                const lost = parseInt(row.querySelector('.col_p4')?.textContent.trim() || '0', 10);
-                const goalsScored = parseInt(row.querySelector('.col_p5')?.textContent.trim() || '0', 10);
-                const goalsAllowed = parseInt(row.querySelector('.col_p6')?.textContent.trim() || '0', 10);
-                const goalDifference = parseInt(row.querySelector('.col_p7')?.textContent.trim() || '0', 10);
-                const points = parseInt(row.querySelector('.col_p8')?.textContent.trim() || '0', 10);
-
-                if (team && rank) {
-                    results.push({
-                        rank,
-                        team,
-                        matchPlayed,
-                        won,
-                        draw,
-                        lost,
-                        goalsScored,
-                        goalsAllowed,
-                        goalDifference,
-                        points
-                    });
-                }
-            });
-
-            return results;
-        });
+        const html = await page.content();
+        await options.archive?.store(html, { kind: 'standing', url: pageUrl });
+        const standings = parseStanding(html);
 
         // Validate standings
         if (standings.length === 0) {
@@ -102,9 +95,10 @@ export default async function scrapeLeagueStanding(page, pageUrl, outputDir) {
 
         // Save standings to JSON file
         if (isValidStanding) {
-            const seasonId = pageUrl.split('/').slice(-2, -1)[0];
+            const seasonId = seasonFileId(pageUrl);
             const outputFile = joinPathnames([outputDir, `standing_${seasonId}.json`]);
-            await saveJSON(outputFile, standings);
+            await save(outputFile, standings);
+            options.database?.saveStanding(standings);
             return standings
         }
 
@@ -0,0 +1,210 @@
+import { joinPathnames, saveJSON } from '../utils/utilities.js';
+import { hasResult, isUnplayed, parseMatchStatus } from './match_model.js';
+
+/** Standings columns compared between runs */
+const standingColumns = ['rank', 'matchPlayed', 'won', 'draw', 'lost', 'goalsScored', 'goalsAllowed', 'points'];
+
+/**
+ * @typedef {{
+ *  type: 'added' | 'removed' | 'result' | 'score' | 'awarded' | 'status' | 'date' | 'standing',
+ *  expected: boolean,
+ *  match?: { id: number | null, homeTeam: string, awayTeam: string, round?: number, stage?: string },
+ *  team?: string,
+ *  stage?: string,
+ *  before: any,
+ *  after: any
+ * }} SeasonChange
+ */
+
+/**
+ * Lists the matches of a season, whether it is played in gameweeks, knockout rounds or league stages
+ * @param {{ gameweeks?: Array<{ matches: Array<Object> }>, rounds?: Array<Object>, stages?: Array<Object> }} season
+ * @returns {Array<Object>}
+ */
+const listMatches = (season) => [
+    ...(season.gameweeks || []).flatMap(gw => gw.matches),
+    ...[...(season.rounds || []), ...(season.stages || [])].flatMap(round => [
+        ...(round.matches || []),
+        ...(round.gameweeks || []).flatMap(gw => gw.matches)
+    ])
+];
+
+/**
+ * Keys matches by GSA ID. Matches without one are keyed by their teams, numbered in order
+ * as a pairing can be played more than once in a season
+ * @param {Array<Object>} matches
+ * @returns {Map<string, Object>}
+ */
+const keyMatches = (matches) => {
+    const keyed = new Map();
+    const occurrences = new Map();
+    for (const match of matches) {
+        const pairing = `${match.stage || ''}|${match.homeTeam}|${match.awayTeam}`;
+        occurrences.set(pairing, (occurrences.get(pairing) || 0) + 1);
+        keyed.set(match.id != null ? `id:${match.id}` : `${pairing}#${occurrences.get(pairing)}`, match);
+    }
+    return keyed;
+}
+
+/**
+ * Lists the standings rows of a season, labelled with their stage for seasons played in stages
+ * @param {{ leagueStanding?: Array<Object>, stages?: Array<{ stage: string, standings?: Array<Object> }> }} season
+ * @returns {Array<Object>}
+ */
+const listStandings = (season) => [
+    ...(season.leagueStanding || []),
+    ...(season.stages || []).flatMap(({ stage, standings }) => (standings || []).map(row => ({ ...row, stage })))
+];
+
+/** @param {{ team: string, teamId?: number | null, stage?: string, group?: string | null }} row */
+const standingKey = (row) => `${row.stage || ''}|${row.group ?? ''}|${row.teamId ?? row.team}`;
+
+/** @param {Object} match */
+const describeMatch = (match) => ({
+    id: match.id ?? null,
+    homeTeam: match.homeTeam,
+    awayTeam: match.awayTeam,
+    ...(match.round != null && { round: match.round }),
+    ...(match.stage && { stage: match.stage })
+});
+
+/** @param {Object} match */
+const statusOf = (match) => match.status || parseMatchStatus(match.score || '', match.time);
+
+/**
+ * Compares a season as scraped now with the same season stored by an earlier run, match by match, and its standings
+ * team by team. Changes a season goes through as it is played are expected: new matches, results of scheduled matches,
+ * postponements and rescheduled fixtures. Corrections are not: removed matches, changed scores, results awarded
+ * after the fact, played matches moving date, and standings changing without more matches played
+ * @param {Object} previous The season as stored in composed.json
+ * @param {Object} next The season as just scraped
+ * @returns {Array<SeasonChange>}
+ */
+export const diffSeasons = (previous, next) => {
+    const changes = [];
+    const before = keyMatches(listMatches(previous));
+    const after = keyMatches(listMatches(next));
+
+    for (const [key, match] of after) {
+        const old = before.get(key);
+        if (!old) {
+            changes.push({ type: 'added', expected: true, match: describeMatch(match), before: null, after: match.score });
+            continue;
+        }
+
+        // Scores of unplayed matches only tell their status, e.g. a postponed match rescheduled
+        const isResultChange = hasResult(old) || hasResult(match);
+        if (match.score !== old.score && isResultChange) {
+            const isAwarded = statusOf(match) === 'awarded' && statusOf(old) !== 'awarded';
+            const isNewResult = !hasResult(old) && hasResult(match);
+            changes.push({
+                type: isAwarded ? 'awarded' : isNewResult ? 'result' : 'score',
+                expected: isNewResult && !isAwarded,
+                match: describeMatch(match),
+                before: old.score,
+                after: match.score
+            });
+        }
+        else if (match.score !== old.score || statusOf(match) !== statusOf(old)) {
+            changes.push({ type: 'status', expected: true, match: describeMatch(match), before: statusOf(old), after: statusOf(match) });
+        }
+
+        // Kickoffs are only compared when both runs have one, as a time coming to light isn't a move
+        const dateKey = old.kickoff != null && match.kickoff != null ? 'kickoff' : 'date';
+        const [oldDate, newDate] = [old[dateKey], match[dateKey]];
+        if (oldDate !== newDate) {
+            // Fixtures are rescheduled all the time; a played match moving is a correction
+            const expected = isUnplayed(old);
+            changes.push({ type: 'date', expected, match: describeMatch(match), before: oldDate, after: newDate });
+        }
+    }
+
+    for (const [key, match] of before) {
+        if (!after.has(key)) changes.push({ type: 'removed', expected: false, match: describeMatch(match), before: match.score, after: null });
+    }
+
+    const oldRows = new Map(listStandings(previous).map(row => [standingKey(row), row]));
+    for (const row of listStandings(next)) {
+        const old = oldRows.get(standingKey(row));
+        if (!old) continue;
+
+        const changed = standingColumns.filter(column => String(old[column]) !== String(row[column]));
+        if (!changed.length) continue;
+        const pick = (source) => Object.fromEntries(changed.map(column => [column, source[column]]));
+
+        // A table moves as matches are played; points or goals moving without more matches played are a correction
+        const expected = row.matchPlayed > old.matchPlayed;
+        changes.push({ type: 'standing', expected, team: row.team, ...(row.stage && { stage: row.stage }), before: pick(old), after: pick(row) });
+    }
+
+    return changes;
+}
+
+/**
+ * Diffs a scraped season with the one stored by an earlier run and appends the changes to the tournament's
+ * changelog.log. With `refuseUnexpected`, a season with unexpected changes isn't overwritten: the stored season
+ * is returned to be saved again, and callers leave its season files and database rows as they were (see season_output.js)
+ * @param {string} dataDir The tournament directory
+ * @param {string} tournament
+ * @param {Object | undefined} previous The season as stored in composed.json, if any
+ * @param {Object} next The season as just scraped
+ * @param {{ refuseUnexpected?: boolean }} [options={}]
+ * @returns {Promise<Object>} The season to save
+ */
+export async function recordSeasonChanges(dataDir, tournament, previous, next, options = {}) {
+    if (!previous) return next;
+
+    const changes = diffSeasons(previous, next);
+    if (!changes.length) return next;
+
+    const unexpected = changes.filter(change => !change.expected);
+    const refused = Boolean(options.refuseUnexpected && unexpected.length);
+    const summary = {};
+    changes.forEach(({ type }) => { summary[type] = (summary[type] || 0) + 1; });
+
+    const logEntry = {
+        timestamp: new Date().toISOString(),
+        tournament,
+        season: next.season,
+        unexpected: unexpected.length,
+        refused,
+        summary,
+        changes
+    };
+    await saveJSON(joinPathnames([dataDir, 'changelog.log']), logEntry, true);
+
+    console.log(`${changes.length} change(s) in ${next.season} season since the last run (${unexpected.length} unexpected). See changelog.log for details.`);
+    refused && console.warn(`${next.season} season changed unexpectedly and wasn't overwritten in composed.json nor its season files.`);
+
+    return refused ? previous : next;
+}
+
+/**
+ * Logs the seasons stored in composed.json that a rewrite of it leaves out to the tournament's changelog.log,
+ * as unexpected removals
+ * @param {string} dataDir The tournament directory
+ * @param {string} tournament
+ * @param {Array<Object>} stored The seasons of composed.json before the rewrite
+ * @param {Array<Object>} written The seasons written in its place
+ * @returns {Promise<Array<string>>} The removed seasons
+ */
+export async function recordRemovedSeasons(dataDir, tournament, stored, written) {
+    const kept = new Set(written.map(o => o.season));
+    const removed = stored.filter(o => !kept.has(o.season));
+
+    for (const season of removed) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            tournament,
+            season: season.season,
+            unexpected: 1,
+            refused: false,
+            summary: { removed: 1 },
+            changes: [{ type: 'removed', expected: false, before: { matches: listMatches(season).length }, after: null }]
+        };
+        await saveJSON(joinPathnames([dataDir, 'changelog.log']), logEntry, true);
+        console.warn(`${season.season} season was removed from composed.json. See changelog.log for details.`);
+    }
+
+    return removed.map(o => o.season);
+}
@@ -0,0 +1,49 @@
+import { saveJSON } from '../utils/utilities.js';
+
+/** Writes of a database season writer (see sqlite_store.js) */
+const writerMethods = ['saveGameweeks', 'saveMatches', 'saveStanding'];
+
+/**
+ * Holds back the outputs of a season, i.e. its season files (matches_, standing_, round_standings_, stages_ and
+ * rounds_<seasonId>.json) and its database rows, until the scraped season has been checked against the one stored
+ * by an earlier run. `commit` then writes them in order, and `discard` drops them so a refused season is left as stored.
+ * Data is copied as it is written, as later steps (e.g. stats enrichment) keep adding to the scraped objects
+ * @returns {{
+ *  saveJSON: (filePath: string, data: any) => void,
+ *  database: <T>(writer: T) => T,
+ *  commit: () => Promise<void>,
+ *  discard: () => void
+ * }}
+ */
+export default function createSeasonOutput() {
+    /** @type {Array<() => any>} */
+    let writes = [];
+
+    /** @param {Object | undefined} writer A season writer, or one of its stage writers */
+    const deferWriter = (writer) => writer && {
+        ...Object.fromEntries(writerMethods.map(method => [method, (data) => {
+            const copy = structuredClone(data);
+            writes.push(() => writer[method](copy));
+        }])),
+        stage: (name) => deferWriter(writer.stage(name))
+    };
+
+    return {
+        saveJSON(filePath, data) {
+            const copy = structuredClone(data);
+            writes.push(() => saveJSON(filePath, copy));
+        },
+
+        database: deferWriter,
+
+        async commit() {
+            const pending = writes;
+            writes = [];
+            for (const write of pending) await write();
+        },
+
+        discard() {
+            writes = [];
+        }
+    };
+}
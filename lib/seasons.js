@@ -0,0 +1,42 @@
+/**
+ * Season labels as they appear in the season dropdown, either split-year ("2024/2025")
+ * or calendar-year ("2024") seasons
+ */
+export const seasonLabelPattern = /^((?:19|20)\d{2})(?:\s*\/\s*((?:19|20)\d{2}))?$/;
+
+/** Seasons scraped when no range is given */
+export const defaultSeasonRange = { from: 2019 };
+
+/**
+ * @param {string} label
+ * @returns {{ startYear: number, endYear: number, isCalendarYear: boolean } | null}
+ */
+export const parseSeasonLabel = (label) => {
+    const match = (label || '').trim().match(seasonLabelPattern);
+    if (!match) return null;
+    const startYear = parseInt(match[1], 10);
+    const endYear = match[2] ? parseInt(match[2], 10) : startYear;
+    return { startYear, endYear, isCalendarYear: !match[2] };
+}
+
+/**
+ * Keeps the seasons within a range of starting years and/or the last N seasons, preserving their order
+ * @template {{ season: string }} T
+ * @param {Array<T>} seasons
+ * @param {{ from?: number, to?: number, last?: number }} [range=defaultSeasonRange]
+ * @returns {Array<T>}
+ */
+export const selectSeasons = (seasons, range = defaultSeasonRange) => {
+    const inRange = seasons.filter(({ season }) => {
+        const years = parseSeasonLabel(season);
+        if (!years) return false;
+        return (!range.from || years.startYear >= range.from) && (!range.to || years.startYear <= range.to);
+    });
+
+    if (!range.last) return inRange;
+
+    const latest = [...inRange]
+     .sort((a, b) => parseSeasonLabel(b.season).startYear - parseSeasonLabel(a.season).startYear)
+     .slice(0, range.last);
+    return inRange.filter(s => latest.includes(s));
+}
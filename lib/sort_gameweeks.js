@@ -1,46 +1,63 @@
+import { matchKey } from './ids.js';
+import { isIsoDate } from './dates.js';
+
+/** Matches played more than this many days away from the rest of their round are taken for rescheduled */
+const rescheduledAfterDays = 7;
+
+/** @param {{ date: string }} match */
+const dayOf = (match) => isIsoDate(match.date) ? Date.parse(match.date) / 86400000 : null;
+
+/** @param {Array<number>} values */
+const medianOf = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
 /**
- * Sorts gameweeks by the earliest match date and reassigns gameweek numbers sequentially.
- * @param {Array<{ gameweek: number, matches: Array<{ date: string, time: string, homeTeam: string, awayTeam: string, score: string, statsUrl: string, awarded?: boolean }> }>} gameweeks
- * @returns {Array<{ gameweek: number, matches: Array<{ date: string, time: string, homeTeam: string, awayTeam: string, score: string, statsUrl: string, awarded?: boolean }> }>}
+ * Sorts gameweeks chronologically and numbers them in that order, keeping the site's round number (from #week_sel)
+ * as `round` on every gameweek and match. Rounds are dated by the typical day of their matches, so a postponed
+ * match played weeks later doesn't move its round; such matches are tagged `rescheduled`.
+ * Rounds without any dated match, including empty ones, keep their place after the previous round
+ * @param {Array<{ gameweek: number, round?: number, matches: Array<{ id?: number | null, date: string, time: string, homeTeam: string, awayTeam: string, score: string, statsUrl: string, awarded?: boolean }> }>} gameweeks
+ * @returns {Array<{ gameweek: number, round: number, matches: Array<{ id?: number | null, date: string, time: string, homeTeam: string, awayTeam: string, score: string, statsUrl: string, awarded?: boolean, round: number, rescheduled: boolean }> }>}
  */
 export const sortGameweeksByDate = (gameweeks) => {
-    // Filter out gameweeks with no valid matches
-    const validGameweeks = gameweeks.filter(gw => 
-        gw.matches && 
-        gw.matches.length > 0 && 
-        gw.matches.some(match => match.date && /^\d{4}-\d{2}-\d{2}$/.test(match.date))
-    );
-
-    // Remove duplicate gameweeks (same set of matches)
+    // Remove duplicate gameweeks (same set of match IDs)
     const uniqueGameweeks = [];
     const matchSetSignatures = new Set();
-    for (const gw of validGameweeks) {
+    for (const gw of gameweeks.filter(gw => gw.matches)) {
         const matchSignature = gw.matches
-         .map(m => `${m.homeTeam}|${m.awayTeam}|${m.date}|${m.score}`)
+         .map(matchKey)
          .sort()
          .join(';');
-        if (!matchSetSignatures.has(matchSignature)) {
+        if (!matchSignature || !matchSetSignatures.has(matchSignature)) {
             matchSetSignatures.add(matchSignature);
             uniqueGameweeks.push(gw);
         }
     }
 
-    // Sort by earliest valid date
-    uniqueGameweeks.sort((a, b) => {
-        const earliestDateA = a.matches
-            .map(match => match.date)
-            .filter(date => date && /^\d{4}-\d{2}-\d{2}$/.test(date))
-            .sort()[0] || '9999-12-31';
-        const earliestDateB = b.matches
-            .map(match => match.date)
-            .filter(date => date && /^\d{4}-\d{2}-\d{2}$/.test(date))
-            .sort()[0] || '9999-12-31';
-        return earliestDateA.localeCompare(earliestDateB);
-    });
+    // Date rounds by their median match day, in official order so undated rounds follow the round before them
+    const roundOf = (gw) => gw.round ?? gw.gameweek;
+    const rounds = uniqueGameweeks
+     .map(gw => ({ gw, day: medianOf(gw.matches.map(dayOf).filter(day => day !== null)) }))
+     .sort((a, b) => roundOf(a.gw) - roundOf(b.gw));
+
+    let previousDay = -Infinity;
+    for (const round of rounds) {
+        round.sortDay = round.day ?? previousDay;
+        previousDay = round.sortDay;
+    }
+    rounds.sort((a, b) => a.sortDay - b.sortDay || roundOf(a.gw) - roundOf(b.gw));
 
-    // Reassign gameweek numbers
-    return uniqueGameweeks.map((gw, index) => ({
+    // Number gameweeks chronologically, keeping the official round
+    return rounds.map(({ gw, day }, index) => ({
         gameweek: index + 1,
-        matches: gw.matches
+        round: roundOf(gw),
+        matches: gw.matches.map(match => {
+            const matchDay = dayOf(match);
+            const rescheduled = day !== null && matchDay !== null && Math.abs(matchDay - day) > rescheduledAfterDays;
+            return { ...match, round: roundOf(gw), rescheduled };
+        })
     }));
-}
\ No newline at end of file
+}
@@ -0,0 +1,503 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { matchKey, parseGsaId } from './ids.js';
+import { normalizeMatch, toStatPairs } from './match_model.js';
+
+const schema = `
+    CREATE TABLE IF NOT EXISTS countries (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE
+    );
+
+    CREATE TABLE IF NOT EXISTS competitions (
+        id INTEGER PRIMARY KEY,
+        country_id INTEGER NOT NULL REFERENCES countries(id),
+        name TEXT NOT NULL,
+        gsa_id INTEGER,
+        url TEXT,
+        UNIQUE (country_id, name)
+    );
+
+    CREATE TABLE IF NOT EXISTS seasons (
+        id INTEGER PRIMARY KEY,
+        competition_id INTEGER NOT NULL REFERENCES competitions(id),
+        label TEXT NOT NULL,
+        gsa_id INTEGER,
+        url TEXT,
+        format TEXT NOT NULL DEFAULT 'league',
+        UNIQUE (competition_id, label)
+    );
+
+    CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY,
+        gsa_id INTEGER UNIQUE,
+        name TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS gameweeks (
+        id INTEGER PRIMARY KEY,
+        season_id INTEGER NOT NULL REFERENCES seasons(id),
+        stage TEXT NOT NULL DEFAULT '',
+        number INTEGER NOT NULL,
+        position INTEGER,
+        UNIQUE (season_id, stage, number)
+    );
+
+    CREATE TABLE IF NOT EXISTS matches (
+        id INTEGER PRIMARY KEY,
+        match_key TEXT NOT NULL UNIQUE,
+        gsa_id INTEGER,
+        season_id INTEGER NOT NULL REFERENCES seasons(id),
+        gameweek_id INTEGER REFERENCES gameweeks(id),
+        stage TEXT NOT NULL DEFAULT '',
+        date TEXT,
+        time TEXT,
+        home_team_id INTEGER NOT NULL REFERENCES teams(id),
+        away_team_id INTEGER NOT NULL REFERENCES teams(id),
+        kickoff TEXT,
+        score TEXT,
+        home_goals INTEGER,
+        away_goals INTEGER,
+        status TEXT NOT NULL DEFAULT 'scheduled',
+        awarded INTEGER NOT NULL DEFAULT 0,
+        rescheduled INTEGER NOT NULL DEFAULT 0,
+        stats_url TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS standings (
+        season_id INTEGER NOT NULL REFERENCES seasons(id),
+        team_id INTEGER NOT NULL REFERENCES teams(id),
+        rank INTEGER,
+        played INTEGER,
+        won INTEGER,
+        draw INTEGER,
+        lost INTEGER,
+        goals_for INTEGER,
+        goals_against INTEGER,
+        goal_difference INTEGER,
+        points INTEGER,
+        PRIMARY KEY (season_id, team_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS stage_standings (
+        season_id INTEGER NOT NULL REFERENCES seasons(id),
+        stage TEXT NOT NULL,
+        group_name TEXT,
+        team_id INTEGER NOT NULL REFERENCES teams(id),
+        rank INTEGER,
+        played INTEGER,
+        won INTEGER,
+        draw INTEGER,
+        lost INTEGER,
+        goals_for INTEGER,
+        goals_against INTEGER,
+        goal_difference INTEGER,
+        points INTEGER,
+        PRIMARY KEY (season_id, stage, team_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS match_stats (
+        match_id INTEGER NOT NULL REFERENCES matches(id),
+        stat TEXT NOT NULL,
+        home REAL,
+        away REAL,
+        raw TEXT,
+        PRIMARY KEY (match_id, stat)
+    );
+
+    CREATE TABLE IF NOT EXISTS match_events (
+        match_id INTEGER NOT NULL REFERENCES matches(id),
+        seq INTEGER NOT NULL,
+        minute INTEGER,
+        added_time INTEGER,
+        side TEXT NOT NULL,
+        type TEXT NOT NULL,
+        player TEXT,
+        player_out TEXT,
+        assist TEXT,
+        PRIMARY KEY (match_id, seq)
+    );
+
+    CREATE TABLE IF NOT EXISTS match_details (
+        match_id INTEGER PRIMARY KEY REFERENCES matches(id),
+        version INTEGER NOT NULL,
+        referee TEXT,
+        stadium TEXT,
+        attendance INTEGER,
+        home_coach TEXT,
+        away_coach TEXT,
+        half_time_home INTEGER,
+        half_time_away INTEGER,
+        extra_time_home INTEGER,
+        extra_time_away INTEGER,
+        penalties_home INTEGER,
+        penalties_away INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS match_lineups (
+        match_id INTEGER NOT NULL REFERENCES matches(id),
+        side TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        starting INTEGER NOT NULL,
+        player TEXT NOT NULL,
+        player_gsa_id INTEGER,
+        shirt_number INTEGER,
+        position TEXT,
+        PRIMARY KEY (match_id, side, seq)
+    );
+
+    CREATE INDEX IF NOT EXISTS teams_name ON teams (name);
+    CREATE INDEX IF NOT EXISTS matches_season ON matches (season_id);
+    CREATE INDEX IF NOT EXISTS matches_stats_url ON matches (stats_url);
+`;
+
+/** Columns added since the first version of the schema, added to databases created before them */
+const addedColumns = [
+    ['gameweeks', 'position', 'INTEGER'],
+    ['matches', 'rescheduled', 'INTEGER NOT NULL DEFAULT 0']
+];
+
+/**
+ * Opens (or creates) a SQLite database holding scraped data in a normalized schema:
+ * countries, competitions, seasons, teams, gameweeks, matches, standings rows, match stats, events, details and lineups.
+ * Every write is an upsert, so re-running a scrape updates rows instead of duplicating them.
+ * Requires the optional better-sqlite3 dependency
+ * @param {string} filename
+ */
+export default async function createSqliteStore(filename) {
+    let Database;
+    try {
+        Database = (await import('better-sqlite3')).default;
+    }
+    catch (error) {
+        throw new Error(`SQLite output requires the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+
+    await fs.mkdir(path.dirname(path.resolve(filename)), { recursive: true });
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(schema);
+    for (const [table, column, definition] of addedColumns) {
+        const hasColumn = db.prepare(`PRAGMA table_info(${table})`).all().some(({ name }) => name === column);
+        hasColumn || db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+
+    const statements = {
+        country: db.prepare(`
+            INSERT INTO countries (name) VALUES (?)
+            ON CONFLICT (name) DO UPDATE SET name = excluded.name
+            RETURNING id`),
+        competition: db.prepare(`
+            INSERT INTO competitions (country_id, name, gsa_id, url) VALUES (?, ?, ?, ?)
+            ON CONFLICT (country_id, name) DO UPDATE SET gsa_id = COALESCE(excluded.gsa_id, gsa_id), url = COALESCE(excluded.url, url)
+            RETURNING id`),
+        season: db.prepare(`
+            INSERT INTO seasons (competition_id, label, gsa_id, url, format) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (competition_id, label) DO UPDATE SET 
+                gsa_id = COALESCE(excluded.gsa_id, gsa_id), url = COALESCE(excluded.url, url), format = excluded.format
+            RETURNING id`),
+        teamByGsaId: db.prepare(`
+            INSERT INTO teams (gsa_id, name) VALUES (?, ?)
+            ON CONFLICT (gsa_id) DO UPDATE SET name = excluded.name
+            RETURNING id`),
+        teamByName: db.prepare('SELECT id FROM teams WHERE name = ? ORDER BY gsa_id IS NULL, id LIMIT 1'),
+        teamWithGsaId: db.prepare('SELECT id FROM teams WHERE gsa_id = ?'),
+        unidentifiedTeam: db.prepare('SELECT id FROM teams WHERE name = ? AND gsa_id IS NULL LIMIT 1'),
+        identifyTeam: db.prepare('UPDATE teams SET gsa_id = ? WHERE id = ?'),
+        insertTeam: db.prepare('INSERT INTO teams (name) VALUES (?) RETURNING id'),
+        gameweek: db.prepare(`
+            INSERT INTO gameweeks (season_id, stage, number, position) VALUES (?, ?, ?, ?)
+            ON CONFLICT (season_id, stage, number) DO UPDATE SET position = excluded.position
+            RETURNING id`),
+        match: db.prepare(`
+            INSERT INTO matches (
+                match_key, gsa_id, season_id, gameweek_id, stage, date, time, kickoff, home_team_id, away_team_id, 
+                score, home_goals, away_goals, status, awarded, rescheduled, stats_url
+            )
+            VALUES (
+                @matchKey, @gsaId, @seasonId, @gameweekId, @stage, @date, @time, @kickoff, @homeTeamId, @awayTeamId, 
+                @score, @homeGoals, @awayGoals, @status, @awarded, @rescheduled, @statsUrl
+            )
+            ON CONFLICT (match_key) DO UPDATE SET
+                gsa_id = excluded.gsa_id, season_id = excluded.season_id, gameweek_id = excluded.gameweek_id, stage = excluded.stage,
+                date = excluded.date, time = excluded.time, kickoff = excluded.kickoff, home_team_id = excluded.home_team_id,
+                away_team_id = excluded.away_team_id, score = excluded.score, home_goals = excluded.home_goals, 
+                away_goals = excluded.away_goals, status = excluded.status, awarded = excluded.awarded,
+                rescheduled = excluded.rescheduled, stats_url = excluded.stats_url
+            RETURNING id`),
+        standing: db.prepare(`
+            INSERT INTO standings (season_id, team_id, rank, played, won, draw, lost, goals_for, goals_against, goal_difference, points)
+            VALUES (@seasonId, @teamId, @rank, @played, @won, @draw, @lost, @goalsFor, @goalsAgainst, @goalDifference, @points)
+            ON CONFLICT (season_id, team_id) DO UPDATE SET
+                rank = excluded.rank, played = excluded.played, won = excluded.won, draw = excluded.draw,
+                lost = excluded.lost, goals_for = excluded.goals_for, goals_against = excluded.goals_against,
+                goal_difference = excluded.goal_difference, points = excluded.points`),
+        stageStanding: db.prepare(`
+            INSERT INTO stage_standings (
+                season_id, stage, group_name, team_id, rank, played, won, draw, lost, goals_for, goals_against, goal_difference, points
+            )
+            VALUES (
+                @seasonId, @stage, @group, @teamId, @rank, @played, @won, @draw, @lost, @goalsFor, @goalsAgainst, @goalDifference, @points
+            )
+            ON CONFLICT (season_id, stage, team_id) DO UPDATE SET
+                group_name = excluded.group_name, rank = excluded.rank, played = excluded.played, won = excluded.won, 
+                draw = excluded.draw, lost = excluded.lost, goals_for = excluded.goals_for, goals_against = excluded.goals_against,
+                goal_difference = excluded.goal_difference, points = excluded.points`),
+        matchesByStatsUrl: db.prepare('SELECT id FROM matches WHERE stats_url = ?'),
+        matchStat: db.prepare(`
+            INSERT INTO match_stats (match_id, stat, home, away, raw) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (match_id, stat) DO UPDATE SET home = excluded.home, away = excluded.away, raw = excluded.raw`),
+        deleteMatchEvents: db.prepare('DELETE FROM match_events WHERE match_id = ?'),
+        matchEvent: db.prepare(`
+            INSERT INTO match_events (match_id, seq, minute, added_time, side, type, player, player_out, assist)
+            VALUES (@matchId, @seq, @minute, @addedTime, @side, @type, @player, @playerOut, @assist)`),
+        matchDetails: db.prepare(`
+            INSERT INTO match_details (
+                match_id, version, referee, stadium, attendance, home_coach, away_coach, half_time_home, half_time_away,
+                extra_time_home, extra_time_away, penalties_home, penalties_away
+            )
+            VALUES (
+                @matchId, @version, @referee, @stadium, @attendance, @homeCoach, @awayCoach, @halfTimeHome, @halfTimeAway,
+                @extraTimeHome, @extraTimeAway, @penaltiesHome, @penaltiesAway
+            )
+            ON CONFLICT (match_id) DO UPDATE SET
+                version = excluded.version, referee = excluded.referee, stadium = excluded.stadium, attendance = excluded.attendance,
+                home_coach = excluded.home_coach, away_coach = excluded.away_coach, half_time_home = excluded.half_time_home,
+                half_time_away = excluded.half_time_away, extra_time_home = excluded.extra_time_home,
+                extra_time_away = excluded.extra_time_away, penalties_home = excluded.penalties_home,
+                penalties_away = excluded.penalties_away`),
+        deleteLineups: db.prepare('DELETE FROM match_lineups WHERE match_id = ?'),
+        lineupPlayer: db.prepare(`
+            INSERT INTO match_lineups (match_id, side, seq, starting, player, player_gsa_id, shirt_number, position)
+            VALUES (@matchId, @side, @seq, @starting, @player, @playerId, @shirtNumber, @position)`)
+    };
+
+    /**
+     * Teams are identified by GSA ID, so a renamed team keeps its row. Teams seen without an ID
+     * (e.g. in knockout rounds, which have no standings) are matched by name
+     * @param {string} name
+     * @param {number | null} [gsaId]
+     */
+    const teamId = (name, gsaId) => {
+        if (gsaId == null) return (statements.teamByName.get(name) || statements.insertTeam.get(name)).id;
+
+        // A team first seen without an ID takes the ID it is later seen with
+        if (!statements.teamWithGsaId.get(gsaId)) {
+            const unidentified = statements.unidentifiedTeam.get(name);
+            unidentified && statements.identifyTeam.run(gsaId, unidentified.id);
+        }
+        return statements.teamByGsaId.get(gsaId, name).id;
+    };
+
+    /**
+     * @param {number} seasonId
+     * @param {string} seasonUrl
+     * @param {string} stage
+     * @param {number | null} gameweekId
+     * @param {Object} scraped
+     */
+    const upsertMatch = (seasonId, seasonUrl, stage, gameweekId, scraped) => {
+        const match = scraped.status ? scraped : normalizeMatch(scraped);
+        // Matches without a GSA ID are keyed within their season and stage
+        const gsaId = match.id ?? parseGsaId(match.statsUrl);
+        return statements.match.get({
+            matchKey: gsaId != null ? matchKey({ ...match, id: gsaId }) : [seasonUrl, stage, matchKey(match)].join('|'),
+            gsaId,
+            seasonId,
+            gameweekId,
+            stage,
+            date: match.date || null,
+            time: match.time || null,
+            kickoff: match.kickoff,
+            homeTeamId: teamId(match.homeTeam, match.homeTeamId),
+            awayTeamId: teamId(match.awayTeam, match.awayTeamId),
+            score: match.score || null,
+            homeGoals: match.homeGoals,
+            awayGoals: match.awayGoals,
+            status: match.status,
+            awarded: match.awarded ? 1 : 0,
+            rescheduled: match.rescheduled ? 1 : 0,
+            statsUrl: match.statsUrl || null
+        }).id;
+    };
+
+    /**
+     * @param {number} matchId
+     * @param {Object} stats Typed stats, or "home : away" strings cached by earlier versions
+     */
+    const upsertMatchStats = (matchId, stats) => {
+        const { raw, ...pairs } = toStatPairs(stats);
+        for (const [stat, pair] of Object.entries(pairs)) {
+            statements.matchStat.run(matchId, stat, pair?.home ?? null, pair?.away ?? null, raw[stat] ?? null);
+        }
+    };
+
+    /**
+     * Replaces the timeline of a match, events being numbered in timeline order
+     * @param {number} matchId
+     * @param {ReturnType<typeof import('./parsers/parse_match_stats.js').parseMatchEvents>} events
+     */
+    const replaceMatchEvents = (matchId, events) => {
+        statements.deleteMatchEvents.run(matchId);
+        events.forEach((event, seq) => statements.matchEvent.run({
+            matchId,
+            seq,
+            minute: event.minute,
+            addedTime: event.addedTime,
+            side: event.side,
+            type: event.type,
+            player: event.player,
+            playerOut: event.playerOut ?? null,
+            assist: event.assist ?? null
+        }));
+    };
+
+    /**
+     * Upserts the details of a match and replaces its lineups
+     * @param {number} matchId
+     * @param {ReturnType<typeof import('./parsers/parse_match_details.js').parseMatchDetails>} details
+     */
+    const upsertMatchDetails = (matchId, details) => {
+        statements.matchDetails.run({
+            matchId,
+            version: details.version,
+            referee: details.referee ?? null,
+            stadium: details.stadium ?? null,
+            attendance: details.attendance ?? null,
+            homeCoach: details.coaches?.home ?? null,
+            awayCoach: details.coaches?.away ?? null,
+            halfTimeHome: details.halfTime?.home ?? null,
+            halfTimeAway: details.halfTime?.away ?? null,
+            extraTimeHome: details.extraTime?.home ?? null,
+            extraTimeAway: details.extraTime?.away ?? null,
+            penaltiesHome: details.penalties?.home ?? null,
+            penaltiesAway: details.penalties?.away ?? null
+        });
+
+        statements.deleteLineups.run(matchId);
+        for (const side of ['home', 'away']) {
+            const { starting = [], bench = [] } = details.lineups?.[side] || {};
+            [...starting, ...bench].forEach((player, seq) => statements.lineupPlayer.run({
+                matchId,
+                side,
+                seq,
+                starting: seq < starting.length ? 1 : 0,
+                player: player.name,
+                playerId: player.playerId ?? null,
+                shirtNumber: player.shirtNumber ?? null,
+                position: player.position ?? null
+            }));
+        }
+    };
+
+    /**
+     * Writes what was scraped from the page of a match: stats, events and details
+     * @param {number} matchId
+     * @param {{ stats?: Object, events?: Array<Object>, details?: Object }} match
+     */
+    const saveMatchPage = (matchId, { stats, events, details }) => {
+        stats && upsertMatchStats(matchId, stats);
+        events && replaceMatchEvents(matchId, events);
+        details && upsertMatchDetails(matchId, details);
+    };
+
+    /**
+     * Binds writes to a season, and optionally to one of its stages
+     * @param {number} seasonId
+     * @param {string} seasonUrl
+     * @param {string} [stage='']
+     */
+    const seasonWriter = (seasonId, seasonUrl, stage = '') => ({
+        /**
+         * Upserts the gameweeks of the season and their matches (with stats, events and details, if attached).
+         * Gameweeks are keyed by their official round, and ordered chronologically by position
+         * @param {Array<{ gameweek: number, round?: number, matches: Array<Object> }>} gameweeks
+         */
+        saveGameweeks: db.transaction((gameweeks) => {
+            for (const { gameweek, round, matches } of gameweeks) {
+                const gameweekId = statements.gameweek.get(seasonId, stage, round ?? gameweek, gameweek).id;
+                for (const match of matches) {
+                    saveMatchPage(upsertMatch(seasonId, seasonUrl, stage, gameweekId, match), match);
+                }
+            }
+        }),
+
+        /**
+         * Upserts matches that aren't played in gameweeks, such as knockout rounds
+         * @param {Array<Object>} matches
+         */
+        saveMatches: db.transaction((matches) => {
+            for (const match of matches) {
+                saveMatchPage(upsertMatch(seasonId, seasonUrl, stage, null, match), match);
+            }
+        }),
+
+        /**
+         * Upserts the standings table of the season, or of the stage (with the group of every row) for stage writers
+         * @param {ReturnType<typeof import('./parsers/parse_standing.js').parseStanding>} standings
+         */
+        saveStanding: db.transaction((standings) => {
+            for (const row of standings) {
+                (stage ? statements.stageStanding : statements.standing).run({
+                    seasonId,
+                    ...(stage && { stage, group: row.group ?? null }),
+                    teamId: teamId(row.team, row.teamId),
+                    rank: parseInt(row.rank, 10) || null,
+                    played: row.matchPlayed,
+                    won: row.won,
+                    draw: row.draw,
+                    lost: row.lost,
+                    goalsFor: row.goalsScored,
+                    goalsAgainst: row.goalsAllowed,
+                    goalDifference: row.goalDifference,
+                    points: row.points
+                });
+            }
+        }),
+
+        /** @param {string} name */
+        stage: (name) => seasonWriter(seasonId, seasonUrl, name)
+    });
+
+    const root = {
+        /**
+         * Upserts the stats, and the timeline events and details when given, of every match scraped with this stats URL
+         * @param {string} statsUrl
+         * @param {Object<string, string | null>} stats
+         * @param {Array<Object>} [events]
+         * @param {Object} [details]
+         */
+        saveMatchStats: db.transaction((statsUrl, stats, events, details) => {
+            statements.matchesByStatsUrl.all(statsUrl).forEach(({ id }) => saveMatchPage(id, { stats, events, details }));
+        }),
+
+        close: () => db.open && db.close()
+    };
+
+    return {
+        ...root,
+
+        /**
+         * Upserts a competition and binds writes to it
+         * @param {{ country: string, tournament: string, url?: string }} competition
+         */
+        competition({ country, tournament, url }) {
+            const countryId = statements.country.get(country || '').id;
+            const competitionId = statements.competition.get(countryId, tournament, parseGsaId(url), url || null).id;
+
+            return {
+                saveMatchStats: root.saveMatchStats,
+
+                /**
+                 * Upserts a season of the competition and binds writes to it
+                 * @param {{ season: string, url: string, format?: 'league' | 'knockout' }} season
+                 */
+                season({ season, url, format }) {
+                    const seasonId = statements.season.get(competitionId, season, parseGsaId(url), url, format || 'league').id;
+                    return seasonWriter(seasonId, url);
+                }
+            };
+        }
+    };
+}
@@ -0,0 +1,25 @@
+import { parseGsaId } from './ids.js';
+import { parseStageOptions } from './parsers/parse_seasons.js';
+
+/** Stage names that only occur in knockout competitions */
+export const knockoutStagePattern = /\bfinals?\b|\bround of \d+|\b1\/\d+\b|\b(?:\d+(?:st|nd|rd|th)|preliminary|qualifying)\s+round\b|\bqualification\b|\bknockout\b/i;
+
+/**
+ * Discovers the stages (rounds, groups, phases) of the season currently loaded in the page.
+ * Stages are listed in a drop-down whose options link to competition pages, next to the season drop-down.
+ * Falls back to a single stage named after the URL when the season has no stage drop-down
+ * @param {import('puppeteer').Page} page
+ * @param {string} pageUrl
+ * @returns {Promise<Array<{ stage: string, id: number | null, url: string }>>}
+ */
+export const discoverStages = async (page, pageUrl) => {
+    const stages = parseStageOptions(await page.content());
+    if (stages.length) return stages;
+
+    const slug = pageUrl.split('/').slice(-3, -2)[0] || '';
+    const stage = slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    return [{ stage, id: parseGsaId(pageUrl), url: pageUrl }];
+}
+
+/** @param {string} stage */
+export const isKnockoutStage = (stage) => knockoutStagePattern.test(stage);
@@ -0,0 +1,296 @@
+import { joinPathnames, saveJSON } from '../utils/utilities.js';
+import { parseKnockoutScore } from './knockout_ties.js';
+import { hasResult } from './match_model.js';
+
+/** Points for a win, a draw and a loss */
+export const defaultPoints = { win: 3, draw: 1, loss: 0 };
+
+/**
+ * Criteria teams level on points are separated by, in order. Each one scores the teams of a tied group;
+ * teams still level after every criterion are listed by name
+ * @type {Object<string, (rows: Array<StandingRow>, matches: Array<ResultMatch>, points: typeof defaultPoints) => Map<StandingRow, number>>}
+ */
+const criteria = {
+    points: (rows) => new Map(rows.map(row => [row, row.points])),
+    goalDifference: (rows) => new Map(rows.map(row => [row, row.goalDifference])),
+    goalsScored: (rows) => new Map(rows.map(row => [row, row.goalsScored])),
+    won: (rows) => new Map(rows.map(row => [row, row.won])),
+    // Points won in the matches between the tied teams
+    headToHead: (rows, matches, points) => {
+        const keys = new Set(rows.map(row => teamKey(row.teamId, row.team)));
+        const miniTable = tabulate(matches.filter(m => keys.has(m.homeKey) && keys.has(m.awayKey)), points);
+        return new Map(rows.map(row => [row, miniTable.get(teamKey(row.teamId, row.team))?.points ?? 0]));
+    }
+};
+
+/** The tiebreakers known by name, e.g. for the command line */
+export const tiebreakerNames = Object.keys(criteria);
+
+/** Most leagues rank by points, then goal difference, then goals scored */
+export const defaultTiebreakers = ['points', 'goalDifference', 'goalsScored'];
+
+/** Columns of a standings row compared with the scraped table */
+const comparedColumns = ['matchPlayed', 'won', 'draw', 'lost', 'goalsScored', 'goalsAllowed', 'goalDifference', 'points'];
+
+/**
+ * @typedef {{
+ *  rank: string,
+ *  team: string,
+ *  teamId: number | null,
+ *  matchPlayed: number,
+ *  won: number,
+ *  draw: number,
+ *  lost: number,
+ *  goalsScored: number,
+ *  goalsAllowed: number,
+ *  goalDifference: number,
+ *  points: number
+ * }} StandingRow
+ */
+
+/** @typedef {{ homeKey: string, awayKey: string, homeTeam: string, awayTeam: string, homeTeamId: number | null, awayTeamId: number | null, homeGoals: number, awayGoals: number }} ResultMatch */
+
+/**
+ * @param {number | null | undefined} id
+ * @param {string} name
+ */
+const teamKey = (id, name) => id != null ? `id:${id}` : name;
+
+/**
+ * Keeps the matches with a result and reads their goals
+ * @param {Array<{ homeTeam: string, awayTeam: string, score: string, homeTeamId?: number | null, awayTeamId?: number | null, homeGoals?: number | null, awayGoals?: number | null }>} matches
+ * @returns {Array<ResultMatch>}
+ */
+const toResults = (matches) => matches.filter(hasResult).flatMap(match => {
+    const goals = match.homeGoals != null ? match : parseKnockoutScore(match.score);
+    if (goals.homeGoals == null || goals.awayGoals == null) return [];
+    return [{
+        homeKey: teamKey(match.homeTeamId, match.homeTeam),
+        awayKey: teamKey(match.awayTeamId, match.awayTeam),
+        homeTeam: match.homeTeam,
+        awayTeam: match.awayTeam,
+        homeTeamId: match.homeTeamId ?? null,
+        awayTeamId: match.awayTeamId ?? null,
+        homeGoals: goals.homeGoals,
+        awayGoals: goals.awayGoals
+    }];
+});
+
+/**
+ * @param {string} team
+ * @param {number | null} teamId
+ * @returns {StandingRow}
+ */
+const emptyRow = (team, teamId) => ({
+    rank: '', team, teamId, matchPlayed: 0, won: 0, draw: 0, lost: 0,
+    goalsScored: 0, goalsAllowed: 0, goalDifference: 0, points: 0
+});
+
+/**
+ * Starts a table with a row for every team of the season, taken from the scraped standings and from
+ * every listed match (played or not), so teams yet to play a match are ranked too
+ * @param {Array<{ homeTeam: string, awayTeam: string, homeTeamId?: number | null, awayTeamId?: number | null }>} matches
+ * @param {Array<{ team: string, teamId?: number | null }>} [teams=[]]
+ * @returns {Map<string, StandingRow>}
+ */
+function seedRows(matches, teams = []) {
+    const rows = new Map();
+    const add = (team, teamId) => {
+        // A team may be known by ID from the standings and only by name from a match, or the other way around
+        if (!team || rows.has(teamKey(teamId, team)) || [...rows.values()].some(row => row.team === team)) return;
+        rows.set(teamKey(teamId, team), emptyRow(team, teamId));
+    };
+
+    teams.forEach(({ team, teamId }) => add(team, teamId ?? null));
+    matches.forEach(match => {
+        add(match.homeTeam, match.homeTeamId ?? null);
+        add(match.awayTeam, match.awayTeamId ?? null);
+    });
+    return rows;
+}
+
+/**
+ * Adds up the results into unranked rows, by team
+ * @param {Array<ResultMatch>} results
+ * @param {typeof defaultPoints} points
+ * @param {Map<string, StandingRow>} [rows=new Map()] Rows to add to, e.g. the table of the previous gameweek
+ * @returns {Map<string, StandingRow>}
+ */
+function tabulate(results, points, rows = new Map()) {
+    const rowOf = (key, team, teamId) => {
+        if (!rows.has(key)) {
+            // Rows seeded by name are picked up by the matches that know the team's ID
+            const seeded = [...rows.entries()].find(([, row]) => row.team === team);
+            rows.set(key, seeded ? { ...seeded[1], teamId: teamId ?? seeded[1].teamId } : emptyRow(team, teamId));
+            seeded && rows.delete(seeded[0]);
+        }
+        return rows.get(key);
+    };
+
+    for (const match of results) {
+        const sides = [
+            [rowOf(match.homeKey, match.homeTeam, match.homeTeamId), match.homeGoals, match.awayGoals],
+            [rowOf(match.awayKey, match.awayTeam, match.awayTeamId), match.awayGoals, match.homeGoals]
+        ];
+        for (const [row, scored, allowed] of sides) {
+            const outcome = scored > allowed ? 'win' : scored === allowed ? 'draw' : 'loss';
+            row.matchPlayed++;
+            row[{ win: 'won', draw: 'draw', loss: 'lost' }[outcome]]++;
+            row.goalsScored += scored;
+            row.goalsAllowed += allowed;
+            row.goalDifference = row.goalsScored - row.goalsAllowed;
+            row.points += points[outcome];
+        }
+    }
+    return rows;
+}
+
+/**
+ * Orders a group of rows by the first criterion, breaking ties within the group with the next ones
+ * @param {Array<StandingRow>} rows
+ * @param {Array<string>} tiebreakers
+ * @param {Array<ResultMatch>} results
+ * @param {typeof defaultPoints} points
+ * @returns {Array<StandingRow>}
+ */
+function rank(rows, tiebreakers, results, points) {
+    if (rows.length < 2) return rows;
+    if (!tiebreakers.length) return [...rows].sort((a, b) => a.team.localeCompare(b.team));
+
+    const [criterion, ...rest] = tiebreakers;
+    const scores = criteria[criterion](rows, results, points);
+    const groups = new Map();
+    for (const row of rows) {
+        const score = scores.get(row);
+        groups.has(score) || groups.set(score, []);
+        groups.get(score).push(row);
+    }
+
+    return [...groups.entries()]
+     .sort(([a], [b]) => b - a)
+     .flatMap(([, group]) => rank(group, rest, results, points));
+}
+
+/**
+ * @param {Map<string, StandingRow>} rows
+ * @param {Array<ResultMatch>} results
+ * @param {{ tiebreakers: Array<string>, points: typeof defaultPoints }} options
+ * @returns {Array<StandingRow>}
+ */
+const toTable = (rows, results, { tiebreakers, points }) => rank([...rows.values()], tiebreakers, results, points)
+    .map((row, i) => ({ ...row, rank: String(i + 1) }));
+
+/**
+ * Rebuilds a league table from the matches of a season, in the same shape as the scraped standings.
+ * Only matches with a result count (awarded ones with their awarded score); teams without one get a zero row
+ * @param {Array<{ matches: Array<Object> }>} gameweeks
+ * @param {{ tiebreakers?: Array<string>, points?: typeof defaultPoints, teams?: Array<{ team: string, teamId?: number | null }> }} [options={}]
+ * @returns {Array<StandingRow>}
+ */
+export const buildStandings = (gameweeks, options = {}) => {
+    const settings = { tiebreakers: options.tiebreakers || defaultTiebreakers, points: { ...defaultPoints, ...options.points } };
+    const matches = gameweeks.flatMap(gw => gw.matches);
+    const results = toResults(matches);
+    return toTable(tabulate(results, settings.points, seedRows(matches, options.teams)), results, settings);
+}
+
+/**
+ * Rebuilds the league table as it stood after every gameweek, in the order of the gameweeks given.
+ * Every team of the season (`teams`, e.g. the scraped standings, and the teams of every listed match) has a row from the first gameweek
+ * @param {Array<{ gameweek: number, round?: number, matches: Array<Object> }>} gameweeks
+ * @param {{ tiebreakers?: Array<string>, points?: typeof defaultPoints, teams?: Array<{ team: string, teamId?: number | null }> }} [options={}]
+ * @returns {Array<{ gameweek: number, round?: number, standings: Array<StandingRow> }>}
+ */
+export const buildRoundStandings = (gameweeks, options = {}) => {
+    const settings = { tiebreakers: options.tiebreakers || defaultTiebreakers, points: { ...defaultPoints, ...options.points } };
+    const rows = seedRows(gameweeks.flatMap(gw => gw.matches), options.teams);
+    const results = [];
+
+    return gameweeks.map(gw => {
+        const gameweekResults = toResults(gw.matches);
+        results.push(...gameweekResults);
+        tabulate(gameweekResults, settings.points, rows);
+        return { gameweek: gw.gameweek, round: gw.round, standings: toTable(rows, results, settings) };
+    });
+}
+
+/**
+ * Compares a rebuilt table with the scraped one. Teams are matched by GSA ID, or by name when either has none.
+ * Fewer matches played than scraped usually means missing matches; points off by themselves, a points deduction
+ * @param {Array<StandingRow>} computed
+ * @param {Array<StandingRow>} scraped
+ * @returns {Array<{
+ *  team: string,
+ *  teamId: number | null,
+ *  cause: 'missing team' | 'unexpected team' | 'missing matches' | 'extra matches' | 'points adjustment' | 'different results',
+ *  differences: Object<string, { computed: number | null, scraped: number | null }>
+ * }>}
+ */
+export const reconcileStandings = (computed, scraped) => {
+    const findIn = (rows, row) => rows.find(o => o.teamId != null && row.teamId != null ? o.teamId === row.teamId : o.team === row.team);
+    const mismatches = [];
+
+    for (const expected of scraped) {
+        const actual = findIn(computed, expected);
+        const differences = {};
+        for (const column of comparedColumns) {
+            const value = actual ? actual[column] : null;
+            if (value !== expected[column]) differences[column] = { computed: value, scraped: expected[column] };
+        }
+        if (!Object.keys(differences).length) continue;
+
+        const columns = Object.keys(differences);
+        const cause = !actual ? 'missing team'
+            : actual.matchPlayed < expected.matchPlayed ? 'missing matches'
+            : actual.matchPlayed > expected.matchPlayed ? 'extra matches'
+            : columns.length === 1 && columns[0] === 'points' ? 'points adjustment'
+            : 'different results';
+        mismatches.push({ team: expected.team, teamId: expected.teamId ?? null, cause, differences });
+    }
+
+    for (const actual of computed.filter(row => !findIn(scraped, row))) {
+        const differences = Object.fromEntries(comparedColumns.map(column => [column, { computed: actual[column], scraped: null }]));
+        mismatches.push({ team: actual.team, teamId: actual.teamId, cause: 'unexpected team', differences });
+    }
+
+    return mismatches;
+}
+
+/**
+ * Rebuilds the table of a league season after every gameweek into round_standings_<seasonId>.json,
+ * and logs where the final one disagrees with the scraped standings to standings_reconciliation_issues.log
+ * @param {Array<{ gameweek: number, matches: Array<Object> }>} gameweeks
+ * @param {Array<StandingRow>} leagueStanding
+ * @param {{
+ *  outputDir: string,
+ *  seasonUrl: string,
+ *  seasonId: string,
+ *  tiebreakers?: Array<string>,
+ *  points?: typeof defaultPoints,
+ *  output?: ReturnType<typeof import('./season_output.js').default>
+ * }} options With `output`, round_standings_<seasonId>.json is written when the season's output is committed
+ * @returns {Promise<ReturnType<typeof reconcileStandings>>}
+ */
+export const reconcileSeasonStandings = async (gameweeks, leagueStanding, options) => {
+    // Nothing to rebuild before the first result, e.g. for seasons scraped for their fixtures
+    if (!gameweeks.some(gw => gw.matches.some(hasResult))) return [];
+
+    const roundStandings = buildRoundStandings(gameweeks, { ...options, teams: leagueStanding });
+    await (options.output?.saveJSON || saveJSON)(joinPathnames([options.outputDir, `round_standings_${options.seasonId}.json`]), roundStandings);
+    if (!leagueStanding?.length) return [];
+
+    const mismatches = reconcileStandings(roundStandings[roundStandings.length - 1].standings, leagueStanding);
+    for (const mismatch of mismatches) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            seasonUrl: options.seasonUrl,
+            type: 'warning',
+            message: `Rebuilt standings of ${mismatch.team} differ from the scraped ones (${mismatch.cause})`,
+            details: mismatch
+        };
+        await saveJSON(joinPathnames([options.outputDir, 'standings_reconciliation_issues.log']), logEntry, true);
+    }
+    mismatches.length && console.warn(`Rebuilt standings differ from the scraped ones for ${mismatches.length} team(s). See standings_reconciliation_issues.log for details.`);
+
+    return mismatches;
+}
@@ -1,26 +1,132 @@
 import fs from "node:fs/promises";
+import path from "node:path";
 import scrapeTournament from "./lib/league_scraper.js";
 import getCompetitionUrls from "./lib/competitions/competitions_url.js";
+import createCheckpointStore from "./lib/checkpoint.js";
+import createBrowserPool from "./lib/browser_pool.js";
+import createSqliteStore from "./lib/sqlite_store.js";
+import reparseTournament from "./lib/reparse.js";
+import retryFailedSeasons from "./lib/retry_failed.js";
+import refreshCurrentSeasons from "./lib/refresh.js";
+import consolidateTournament from "./lib/consolidate.js";
+import { findTournamentDirs } from "./lib/data_dirs.js";
+import { parseCommandLine, printUsage } from "./lib/cli.js";
 import { joinPathnames, normalizeFilepath } from "./utils/utilities.js";
 
 const baseUrl = 'https://globalsportsarchive.com';
-const outputDir = await createDataDirectory('data');
 
-startScraper(true, 'Bosnia and Herzegovina'); // Starting the program
+const cli = parseCommandLine(process.argv.slice(2));
 
-async function startScraper(leaguesOnly = false, countryIndex = '') {
-    const competitions = await getCompetitionUrls(null, countryIndex);
+if (cli.error) {
+    console.error(`${cli.error}\n`);
+    printUsage();
+    process.exitCode = 1;
+}
+else if (cli.help) {
+    printUsage();
+}
+else {
+    await runCommand(cli.command, cli.options); // Starting the program
+}
+
+/**
+ * Dispatches a command line command
+ * @param {string} command 
+ * @param {ReturnType<typeof parseCommandLine>['options']} options 
+ */
+async function runCommand(command, options) {
+    if (command === 'consolidate') {
+        const outputDir = await createDataDirectory(options.output ? path.resolve(options.output) : 'data');
+        await consolidateDataDirectory(outputDir, options);
+        return;
+    }
+
+    const competitions = await selectCompetitions(options);
+
+    if (command === 'list') {
+        listCompetitions(competitions);
+        return;
+    }
+
+    const outputDir = await createDataDirectory(options.output ? path.resolve(options.output) : 'data');
+
+    if (command === 'reparse') {
+        await reparseCompetitions(competitions, outputDir, options);
+        return;
+    }
+
+    const checkpoint = await createCheckpointStore(outputDir);
+    const database = options.sqlite ? await createSqliteStore(path.resolve(options.sqlite)) : undefined;
+    const browserPool = createBrowserPool({ 
+        baseUrl, 
+        maxNavigations: options.recycleAfter 
+    });
+
+    // Close pages and browsers cleanly when the run is interrupted
+    const shutdown = async (signal) => {
+        console.warn(`\nReceived ${signal}, closing browsers...`);
+        await browserPool.close();
+        database?.close();
+        process.exit(130);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    try {
+        if (command === 'retry') {
+            const erroneous = await selectErroneousTournaments(competitions, outputDir);
+            await startScraper(erroneous, outputDir, { ...options, checkpoint, browserPool, database, resume: false });
+            return;
+        }
+        if (command === 'retry-failed') {
+            await retryFailedSeasons(outputDir, { ...options, baseUrl, checkpoint, browserPool, database });
+            return;
+        }
+        if (command === 'refresh') {
+            await refreshCurrentSeasons(outputDir, { ...options, baseUrl, checkpoint, browserPool, database });
+            return;
+        }
+
+        await startScraper(competitions, outputDir, { ...options, checkpoint, browserPool, database });
+    }
+    finally { 
+        await browserPool.close();
+        database?.close();
+    }
+}
+
+/**
+ * @param {Array<{ country: string, tournaments: Array<{ name: string, url: string }>}>} competitions 
+ * @param {string} outputDir 
+ * @param {ReturnType<typeof parseCommandLine>['options'] & { 
+ *  checkpoint: Awaited<ReturnType<typeof createCheckpointStore>>,
+ *  browserPool: ReturnType<typeof createBrowserPool>,
+ *  database?: Awaited<ReturnType<typeof createSqliteStore>>
+ * }} options 
+ */
+async function startScraper(competitions, outputDir, options) {
+    const { checkpoint } = options;
+    // A country only counts as finished when none of its tournaments were filtered out
+    const isWholeCountry = !options.tournaments.length;
     console.log(`${competitions.length} countries about to be processed...\n`);
     
     for (let i = 0; i < competitions.length; i++) {
         console.log(`Scraping ${i + 1}/${competitions.length} countries`);
         const { country, tournaments } = competitions[i];
+        if (options.resume && isWholeCountry && checkpoint.isCompleted(country)) {
+            console.log(`${country} was already scraped. Skipping.\n\n`);
+            continue;
+        }
+        // Countries with seasons still being played are left open for resumed runs
+        let hasUpcomingSeasons = false;
         for (let j = 0; j < tournaments.length; j++) {
             const { name, url } = tournaments[j];
             console.log(`[${j + 1}/${tournaments.length}] Scraping ${name} in ${country}`);
-            await scrapeLeagues(country, name, url, leaguesOnly);
+            const upcomingSeasons = await scrapeLeagues(country, name, url, outputDir, options);
+            if (upcomingSeasons?.length) hasUpcomingSeasons = true;
             console.log('\n');
         }
+        isWholeCountry && !hasUpcomingSeasons && await checkpoint.markCompleted(country);
         console.log('\n\n');
     }
 
@@ -28,31 +134,140 @@ async function startScraper(leaguesOnly = false, countryIndex = '') {
 }
 
 /**
- * Scrapes an entire league from 2020 to current year
+ * Reads competition URLs and applies the country and tournament filters
+ * @param {ReturnType<typeof parseCommandLine>['options']} options 
+ * @returns {Promise<Array<{ country: string, tournaments: Array<{ name: string, url: string }>}>>}
+ */
+async function selectCompetitions(options) {
+    const competitions = await getCompetitionUrls(options.continent, options.until);
+    const countries = options.countries.map(c => c.toLowerCase());
+
+    return competitions
+     .filter(({ country }) => !countries.length || countries.includes(country.toLowerCase()))
+     .map(({ country, tournaments }) => ({
+        country,
+        tournaments: tournaments.filter(({ name }) => {
+            return !options.tournaments.length || options.tournaments.some(pattern => pattern.test(name));
+        })
+     }))
+     .filter(({ tournaments }) => tournaments.length);
+}
+
+/**
+ * Keeps tournaments whose previous run left an erroneous.json behind
+ * @param {Array<{ country: string, tournaments: Array<{ name: string, url: string }>}>} competitions 
+ * @param {string} outputDir 
+ */
+async function selectErroneousTournaments(competitions, outputDir) {
+    const results = [];
+    for (const { country, tournaments } of competitions) {
+        const countryDir = joinPathnames([outputDir, normalizeFilepath(country)]);
+        const erroneous = [];
+        for (const tournament of tournaments) {
+            const tournamentDir = joinPathnames([countryDir, normalizeFilepath(tournament.name)]);
+            const exists = await fs.access(joinPathnames([tournamentDir, 'erroneous.json'])).then(() => true, () => false);
+            exists && erroneous.push(tournament);
+        }
+        erroneous.length && results.push({ country, tournaments: erroneous });
+    }
+    return results;
+}
+
+/**
+ * Rebuilds the output of every scraped tournament from its page archive
+ * @param {Array<{ country: string, tournaments: Array<{ name: string, url: string }>}>} competitions 
+ * @param {string} outputDir 
+ * @param {ReturnType<typeof parseCommandLine>['options']} options 
+ */
+async function reparseCompetitions(competitions, outputDir, options) {
+    let count = 0;
+    for (const { country, tournaments } of competitions) {
+        for (const { name } of tournaments) {
+            const countryDir = joinPathnames([outputDir, normalizeFilepath(country)]);
+            const tournamentDir = joinPathnames([countryDir, normalizeFilepath(name)]);
+            const isScraped = await fs.access(joinPathnames([tournamentDir, 'archive'])).then(() => true, () => false);
+            if (!isScraped) continue;
+
+            console.log(`Re-parsing ${name} in ${country}`);
+            count += await reparseTournament(tournamentDir, { 
+                tournament: name, 
+                timeZone: options.timeZone, 
+                tiebreakers: options.tiebreakers,
+                refuseChanges: options.refuseChanges
+            });
+            console.log('\n');
+        }
+    }
+    console.log(`Re-parsing completed: ${count} season(s) rebuilt.\n`);
+}
+
+/**
+ * Folds the repaired seasons of every tournament in the output directory into its composed.json
+ * @param {string} outputDir 
+ * @param {ReturnType<typeof parseCommandLine>['options']} options 
+ */
+async function consolidateDataDirectory(outputDir, options) {
+    let count = 0;
+    for (const { country, tournament, dir } of await findTournamentDirs(outputDir, options)) {
+        const folded = await consolidateTournament(dir, { refuseChanges: options.refuseChanges });
+        folded && console.log(`${folded} repaired season(s) of ${tournament} in ${country} folded into composed.json`);
+        count += folded;
+    }
+    console.log(`Consolidation completed: ${count} season(s) folded.\n`);
+}
+
+/** @param {Array<{ country: string, tournaments: Array<{ name: string, url: string }>}>} competitions */
+function listCompetitions(competitions) {
+    let count = 0;
+    for (const { country, tournaments } of competitions) {
+        console.log(country);
+        tournaments.forEach(({ name, url }) => console.log(`  ${name}  ${url}`));
+        count += tournaments.length;
+    }
+    console.log(`\n${count} tournament(s) in ${competitions.length} countries`);
+}
+
+/**
+ * Scrapes an entire league over the requested season range
  * @param {string} country 
  * @param {string} tournament 
  * @param {string} url
- * @param {boolean} leaguesOnly
+ * @param {string} outputDir
+ * @param {ReturnType<typeof parseCommandLine>['options']} options
+ * @returns {Promise<Array<string> | undefined>} The seasons left with matches still to be played
  */
-async function scrapeLeagues(country, tournament, url, leaguesOnly) {
+async function scrapeLeagues(country, tournament, url, outputDir, options) {
     const dataDir = joinPathnames([outputDir, normalizeFilepath(country)]);
     await fs.mkdir(dataDir, { recursive: true });
     await writeMetaData(country, joinPathnames([dataDir, 'metadata.txt']));
-    await scrapeTournament({ 
+    return scrapeTournament({ 
         country, 
         tournament, 
         baseUrl, 
         dataDir, 
-        leaguesOnly, 
-        pageUrl: url 
+        pageUrl: url,
+        leaguesOnly: options.leaguesOnly, 
+        seasonRange: options.seasonRange,
+        delay: options.delay,
+        checkpoint: options.checkpoint,
+        resume: options.resume,
+        fixtures: options.fixtures,
+        refuseChanges: options.refuseChanges,
+        browserPool: options.browserPool,
+        enrichStats: options.enrichStats,
+        archive: options.archive,
+        database: options.database,
+        timeZone: options.timeZone,
+        tiebreakers: options.tiebreakers
     });
 }
 
-/** @param {string} dirname */
+/** @param {string} dirname Absolute path, or a path relative to this script */
 async function createDataDirectory(dirname) {
-    const path = await import('node:path');
     const { fileURLToPath } = await import('node:url');
-    const outputDir = path.join(path.dirname(fileURLToPath(import.meta.url)), dirname);
+    const outputDir = path.isAbsolute(dirname) 
+     ? dirname 
+     : path.join(path.dirname(fileURLToPath(import.meta.url)), dirname);
     await fs.mkdir(outputDir, { recursive: true });
     return outputDir;
 }
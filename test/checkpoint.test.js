@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import createCheckpointStore from '../lib/checkpoint.js';
+
+const seasonUrl = (id) => `https://globalsportsarchive.com/competition/soccer/allsvenskan/regular-season/${id}/`;
+const gameweeksOf = (...scores) => [{ gameweek: 1, matches: scores.map((score, i) => ({ id: i + 1, homeTeam: `Home ${i}`, awayTeam: `Away ${i}`, score, time: '15:00' })) }];
+
+/**
+ * Writes the outputs of an earlier run: seasons_list.json, composed.json and a matches_<seasonId>.json per season
+ * @param {Object<string, Array<Object>>} seasons Gameweeks by season
+ */
+const writeTournament = async (seasons) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsa-'));
+    const list = Object.keys(seasons).map((season, i) => ({ season, url: seasonUrl(i + 1), format: 'league' }));
+    await fs.writeFile(path.join(dir, 'seasons_list.json'), JSON.stringify(list));
+    await fs.writeFile(path.join(dir, 'composed.json'), JSON.stringify({ tournament: 'Allsvenskan', data: [] }));
+    for (const [i, [season, gameweeks]] of Object.entries(seasons).entries()) {
+        await fs.mkdir(path.join(dir, season));
+        await fs.writeFile(path.join(dir, season, `matches_${i + 1}.json`), JSON.stringify(gameweeks));
+    }
+    return dir;
+};
+
+test('rebuilds the checkpoints of finished seasons and their tournament', async () => {
+    const dir = await writeTournament({ 2023: gameweeksOf('1 : 0', '2 : 2'), 2022: gameweeksOf('0 : 3') });
+    const checkpoint = await createCheckpointStore(dir);
+
+    assert.equal(await checkpoint.rebuildTournament('Sweden', 'Allsvenskan', dir), 2);
+    assert.ok(checkpoint.isCompleted('Sweden', 'Allsvenskan', '2023'));
+    assert.ok(checkpoint.isCompleted('Sweden', 'Allsvenskan'));
+    await fs.rm(dir, { recursive: true });
+});
+
+test('leaves seasons with scheduled or postponed matches and their tournament unfinished', async () => {
+    const dir = await writeTournament({ 2024: gameweeksOf('1 : 0', 'POSTP.'), 2023: gameweeksOf('1 : 0', ':'), 2022: gameweeksOf('0 : 3') });
+    const checkpoint = await createCheckpointStore(dir);
+
+    assert.equal(await checkpoint.rebuildTournament('Sweden', 'Allsvenskan', dir), 1);
+    assert.ok(!checkpoint.isCompleted('Sweden', 'Allsvenskan', '2024'));
+    assert.ok(!checkpoint.isCompleted('Sweden', 'Allsvenskan', '2023'));
+    assert.ok(checkpoint.isCompleted('Sweden', 'Allsvenskan', '2022'));
+    assert.ok(!checkpoint.isCompleted('Sweden', 'Allsvenskan'));
+    await fs.rm(dir, { recursive: true });
+});
+
+test('only counts seasons that logged gameweek issues once they are composed or repaired', async () => {
+    const dir = await writeTournament({ 2023: gameweeksOf('1 : 0') });
+    await fs.writeFile(path.join(dir, '2023', 'gameweek_scrape_issues.log'), '{}');
+    const checkpoint = await createCheckpointStore(dir);
+
+    assert.equal(await checkpoint.rebuildTournament('Sweden', 'Allsvenskan', dir), 0);
+    await fs.writeFile(path.join(dir, 'repaired.json'), JSON.stringify({ data: [{ season: '2023' }] }));
+    assert.equal(await checkpoint.rebuildTournament('Sweden', 'Allsvenskan', dir), 1);
+    await fs.rm(dir, { recursive: true });
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { mergeSeasons, saveComposed, saveComposedSeasons } from '../lib/composed.js';
+
+const seasonOf = (season, score = '1 : 0') => ({ season, gameweeks: [{ gameweek: 1, matches: [{ id: 1, score }] }] });
+
+test('replaces seasons of the same label and orders them newest first', () => {
+    const stored = [seasonOf('2023'), seasonOf('2022'), seasonOf('2021')];
+    const merged = mergeSeasons(stored, [seasonOf('2024'), seasonOf('2022', '2 : 2')]);
+
+    assert.deepEqual(merged.map(o => o.season), ['2024', '2023', '2022', '2021']);
+    assert.equal(merged[2].gameweeks[0].matches[0].score, '2 : 2');
+});
+
+test('keeps the stored seasons out of the range of a ranged scrape', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsa-'));
+    const composedFile = path.join(dir, 'composed.json');
+    await fs.writeFile(composedFile, JSON.stringify({ tournament: 'Allsvenskan', id: 1, data: [seasonOf('2023'), seasonOf('2022')] }));
+
+    await saveComposedSeasons(dir, { tournament: 'Allsvenskan', id: 1 }, [seasonOf('2024')]);
+
+    const composed = JSON.parse(await fs.readFile(composedFile, 'utf8'));
+    assert.deepEqual(composed.data.map(o => o.season), ['2024', '2023', '2022']);
+    assert.equal(composed.id, 1);
+    await fs.rm(dir, { recursive: true });
+});
+
+test('logs the stored seasons a rewrite leaves out as removed', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsa-'));
+    await fs.writeFile(path.join(dir, 'composed.json'), JSON.stringify({ tournament: 'Allsvenskan', id: 1, data: [seasonOf('2023'), seasonOf('2022')] }));
+
+    await saveComposed(dir, { tournament: 'Allsvenskan', id: 1, data: [seasonOf('2023')] });
+
+    const log = (await fs.readFile(path.join(dir, 'changelog.log'), 'utf8')).trim().split('\n\n').map(entry => JSON.parse(entry));
+    assert.deepEqual(log.map(({ season, summary }) => [season, summary]), [['2022', { removed: 1 }]]);
+    await fs.rm(dir, { recursive: true });
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import consolidateTournament, { markRepaired, toRepairRecord } from '../lib/consolidate.js';
+
+const gameweeks = [{ gameweek: 1, matches: [{ id: 1, homeTeam: 'AIK', awayTeam: 'Hammarby IF', score: '1 : 0' }] }];
+const leagueStanding = [{ team: 'AIK', matchPlayed: 1 }, { team: 'Hammarby IF', matchPlayed: 1 }];
+
+const readFile = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+test('points repaired seasons to the issue log of how they are scraped', () => {
+    assert.deepEqual(markRepaired({ season: '2023/2024', gameweeks }), { season: '2023/2024', gameweeks, repaired: true, retryLog: '2023_2024/gameweek_scrape_issues.log' });
+    assert.equal(markRepaired({ season: '2023', rounds: [] }).retryLog, '2023/knockout_scrape_issues.log');
+    assert.equal(markRepaired({ season: '2023', stages: [] }).retryLog, '2023/stage_scrape_issues.log');
+});
+
+test('keeps the record of a repair without its season data', () => {
+    const entry = { season: '2023', id: 7, retries: 2, retriedGameweeks: [3], gameweeks, leagueStanding };
+
+    assert.deepEqual(toRepairRecord(entry), { season: '2023', id: 7, retries: 2, retriedGameweeks: [3] });
+});
+
+test('folds repaired seasons of earlier versions into composed.json, in season order', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsa-'));
+    const stored = { season: '2024', id: 3, gameweeks, leagueStanding };
+    await fs.writeFile(path.join(dir, 'composed.json'), JSON.stringify({ tournament: 'Allsvenskan', id: 1, data: [stored] }));
+    await fs.writeFile(path.join(dir, 'seasons_list.json'), JSON.stringify([
+        { season: '2024', url: 'https://globalsportsarchive.com/competition/soccer/allsvenskan-2024/regular-season/3/' },
+        { season: '2023', url: 'https://globalsportsarchive.com/competition/soccer/allsvenskan-2023/regular-season/2/' }
+    ]));
+    await fs.writeFile(path.join(dir, 'repaired.json'), JSON.stringify({ tournament: 'Allsvenskan', id: 1, data: [
+        { season: '2023', retries: 1, retriedGameweeks: [1], gameweeks, leagueStanding },
+        { season: '2024', retries: 1, retriedGameweeks: [1], gameweeks: [] }
+    ] }));
+
+    assert.equal(await consolidateTournament(dir), 1);
+
+    const composed = await readFile(path.join(dir, 'composed.json'));
+    // Seasons scraped again since are only marked, not replaced by the repaired data
+    assert.deepEqual(composed.data, [markRepaired(stored), markRepaired({ season: '2023', id: 2, gameweeks, leagueStanding })]);
+    assert.deepEqual((await readFile(path.join(dir, 'repaired.json'))).data, [
+        { season: '2023', retries: 1, retriedGameweeks: [1], id: 2 },
+        { season: '2024', retries: 1, retriedGameweeks: [1], id: 3 }
+    ]);
+    assert.equal(await consolidateTournament(dir), 0);
+    await fs.rm(dir, { recursive: true });
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, parseDateHeader, parseKickoffTime, toUtcTimestamp } from '../lib/dates.js';
+
+test('parses ISO, numeric and written date headers', () => {
+    assert.equal(parseDateHeader('2024-08-16'), '2024-08-16');
+    assert.equal(parseDateHeader('16.08.2024'), '2024-08-16');
+    assert.equal(parseDateHeader('16/08/24'), '2024-08-16');
+    assert.equal(parseDateHeader('Friday, 16 August 2024'), '2024-08-16');
+    assert.equal(parseDateHeader('31 February 2024'), null);
+    assert.equal(parseDateHeader('Tomorrow'), null);
+});
+
+test('reads month names of other locales', () => {
+    assert.equal(parseDateHeader('16. août 2024'), '2024-08-16');
+    assert.equal(parseDateHeader('Samstag, 1. März 2025'), '2025-03-01');
+    assert.equal(parseDateHeader('sábado, 5 de octubre de 2024'), '2024-10-05');
+    assert.equal(parseDateHeader('2024. augusztus 16.'), '2024-08-16');
+    assert.equal(parseDateHeader('16 августа 2024'), '2024-08-16');
+});
+
+test('dates headers without a year within the season', () => {
+    assert.equal(parseDateHeader('Fri 16 Aug', { season: '2024/2025' }), '2024-08-16');
+    assert.equal(parseDateHeader('Sat 15 Feb', { season: '2024/2025' }), '2025-02-15');
+    assert.equal(parseDateHeader('martes 3 sept', { season: '2024/2025' }), '2024-09-03');
+    assert.equal(parseDateHeader('Sat 15 Feb', { season: '2024' }), '2024-02-15');
+    assert.equal(parseDateHeader('16 August'), null);
+});
+
+test('parses kick-off times', () => {
+    assert.equal(parseKickoffTime('15:00'), '15:00');
+    assert.equal(parseKickoffTime('9.30'), '09:30');
+    assert.equal(parseKickoffTime('20h45'), '20:45');
+    assert.equal(parseKickoffTime('3:00 PM'), '15:00');
+    assert.equal(parseKickoffTime('12:00 am'), '00:00');
+    assert.equal(parseKickoffTime('24:00'), null);
+    assert.equal(parseKickoffTime('TBD'), null);
+});
+
+test('converts kick-offs to UTC on both sides of DST changes', () => {
+    assert.equal(toUtcTimestamp('2024-03-30', '15:00', 'Europe/Berlin'), '2024-03-30T14:00:00.000Z');
+    assert.equal(toUtcTimestamp('2024-03-31', '15:00', 'Europe/Berlin'), '2024-03-31T13:00:00.000Z');
+    assert.equal(toUtcTimestamp('2024-10-26', '20:00', 'Europe/Berlin'), '2024-10-26T18:00:00.000Z');
+    assert.equal(toUtcTimestamp('2024-10-27', '15:00', 'Europe/Berlin'), '2024-10-27T14:00:00.000Z');
+    assert.equal(toUtcTimestamp('2024-11-02', '20:00', 'America/New_York'), '2024-11-03T00:00:00.000Z');
+    assert.equal(toUtcTimestamp('2024-11-03', '13:00', 'America/New_York'), '2024-11-03T18:00:00.000Z');
+    assert.equal(toUtcTimestamp('2024-04-06', '19:00', 'Australia/Sydney'), '2024-04-06T08:00:00.000Z');
+    assert.equal(toUtcTimestamp('2024-04-07', '15:00', 'Australia/Sydney'), '2024-04-07T05:00:00.000Z');
+});
+
+test('reads kick-offs in UTC by default and leaves unknown ones out', () => {
+    assert.equal(toUtcTimestamp('2024-08-16', '20:00'), '2024-08-16T20:00:00.000Z');
+    assert.equal(toUtcTimestamp('2024-08-16', null, 'Europe/London'), null);
+    assert.equal(toUtcTimestamp('16.08', '20:00'), null);
+});
+
+test('tells IANA timezones apart from unknown ones', () => {
+    assert.equal(isValidTimeZone('Europe/London'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { verifyGameweekData } from '../lib/gameweek_verification.js';
+
+const seasonUrl = 'https://globalsportsarchive.com/competition/soccer/allsvenskan-2024/regular-season/98765/';
+const teams = ['AIK', 'Hammarby IF', 'Malmö FF', 'IFK Göteborg'];
+
+/** A double round-robin between four teams, one pairing of teams by index per match */
+const schedule = [[[0, 1], [2, 3]], [[0, 2], [1, 3]], [[0, 3], [1, 2]], [[1, 0], [3, 2]], [[2, 0], [3, 1]], [[3, 0], [2, 1]]];
+
+const buildSeason = () => schedule.map((pairings, i) => ({
+    gameweek: i + 1,
+    matches: pairings.map(([home, away], j) => ({
+        id: i * 10 + j,
+        date: `2024-04-${String(i + 1).padStart(2, '0')}`,
+        time: '15:00',
+        homeTeam: teams[home],
+        awayTeam: teams[away],
+        score: '1 : 0',
+        statsUrl: ''
+    }))
+}));
+
+const standings = teams.map(team => ({ team, matchPlayed: 6 }));
+
+/**
+ * Verifies gameweeks in a temporary output directory
+ * @returns {Promise<Array<[string, string]>>} The code and severity of every issue
+ */
+const verify = async (gameweeks, { expected = 2, ...options } = {}) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsa-'));
+    try {
+        const { report } = await verifyGameweekData(gameweeks, expected, seasonUrl, dir, { standings, ...options });
+        return report.map(({ code, severity }) => [code, severity]);
+    }
+    finally {
+        await fs.rm(dir, { recursive: true });
+    }
+};
+
+test('reports nothing for a complete season matching its standings', async () => {
+    assert.deepEqual(await verify(buildSeason()), []);
+});
+
+test('throws on duplicate matches', async () => {
+    const gameweeks = buildSeason();
+    gameweeks[1].matches.push(gameweeks[0].matches[0]);
+
+    await assert.rejects(verify(gameweeks), /Duplicate matches detected: 1/);
+});
+
+test('warns of gameweeks with fewer matches than expected', async () => {
+    assert.deepEqual(await verify(buildSeason(), { expected: 6 }), schedule.map(() => ['LOW_MATCH_COUNT', 'warning']));
+});
+
+test('warns of matches without a valid date', async () => {
+    const gameweeks = buildSeason();
+    gameweeks[0].matches[0].date = 'Fri 5 Apr';
+
+    assert.deepEqual(await verify(gameweeks), [['INVALID_DATE', 'warning']]);
+});
+
+test('warns of empty gameweeks', async () => {
+    const gameweeks = [...buildSeason(), { gameweek: 7, matches: [] }];
+
+    assert.deepEqual(await verify(gameweeks), [['EMPTY_GAMEWEEK', 'warning']]);
+});
+
+test('flags a team playing itself as an error', async () => {
+    const gameweeks = buildSeason();
+    gameweeks.push({ gameweek: 7, matches: [{ ...gameweeks[0].matches[0], id: 70, awayTeam: teams[0], score: '' }] });
+
+    assert.deepEqual(await verify(gameweeks), [['SELF_MATCH', 'error']]);
+});
+
+test('warns of a team playing twice in a gameweek', async () => {
+    const gameweeks = buildSeason();
+    // A rescheduled match listed in its old gameweek too, where both teams already play
+    gameweeks[0].matches.push({ ...gameweeks[2].matches[0], id: 70, score: '' });
+
+    assert.deepEqual(await verify(gameweeks), [['TEAM_TWICE_IN_GAMEWEEK', 'warning'], ['TEAM_TWICE_IN_GAMEWEEK', 'warning']]);
+});
+
+test('warns of implausible scores', async () => {
+    const gameweeks = buildSeason();
+    gameweeks[0].matches[0].score = '16 : 0';
+
+    assert.deepEqual(await verify(gameweeks), [['IMPLAUSIBLE_SCORE', 'warning']]);
+});
+
+test('notes the fixtures a round-robin is missing', async () => {
+    const gameweeks = buildSeason();
+    gameweeks[5].matches.pop();
+    const unplayed = teams.map(team => ({ team, matchPlayed: team === teams[1] || team === teams[2] ? 5 : 6 }));
+
+    assert.deepEqual(await verify(gameweeks, { standings: unplayed }), [['INCOMPLETE_ROUND_ROBIN', 'info']]);
+});
+
+test('warns of teams missing from the gameweeks or the standings', async () => {
+    const moreTeams = [...standings, { team: 'Djurgårdens IF', matchPlayed: 0 }];
+
+    assert.deepEqual(await verify(buildSeason(), { standings: moreTeams }), [['TEAM_COUNT_MISMATCH', 'warning']]);
+});
+
+test('warns of teams whose played matches disagree with the standings', async () => {
+    const behind = standings.map(row => row.team === teams[0] ? { ...row, matchPlayed: 5 } : row);
+
+    assert.deepEqual(await verify(buildSeason(), { standings: behind }), [['MATCH_COUNT_MISMATCH', 'warning']]);
+});
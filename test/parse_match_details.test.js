@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { matchDetailsVersion, parseMatchDetails } from '../lib/parsers/parse_match_details.js';
+
+const matchPage = await readFile(new URL('./fixtures/match.html', import.meta.url), 'utf8');
+
+test('parses the lineups of both sides into starting XIs and benches', () => {
+    const { lineups } = parseMatchDetails(matchPage);
+
+    assert.equal(lineups.home.starting.length, 5);
+    assert.deepEqual(lineups.home.starting[0], { name: 'Robert Sánchez', playerId: 123401, shirtNumber: 1, position: 'GK' });
+    assert.deepEqual(lineups.home.bench.map(player => player.name), ['Marcus Bettinelli']);
+    assert.deepEqual(lineups.away.starting.map(player => player.shirtNumber), [24, 4, 15, 14, 9]);
+    assert.deepEqual(lineups.away.bench, [{ name: 'Ross Barkley', playerId: 223406, shirtNumber: 6, position: 'MF' }]);
+});
+
+test('parses the coaches, match info and half-time score', () => {
+    const details = parseMatchDetails(matchPage);
+
+    assert.equal(details.version, matchDetailsVersion);
+    assert.deepEqual(details.coaches, { home: 'Mauricio Pochettino', away: 'Rob Edwards' });
+    assert.equal(details.referee, 'Simon Hooper');
+    assert.equal(details.stadium, 'Stamford Bridge');
+    assert.equal(details.attendance, 39821);
+    assert.deepEqual(details.halfTime, { home: 2, away: 0 });
+    assert.equal(details.extraTime, null);
+    assert.equal(details.penalties, null);
+});
+
+test('leaves the details a page doesn\'t list null', () => {
+    const details = parseMatchDetails('<div id="match_header_result">1 : 1</div><p>Referee: Simon Hooper</p>');
+
+    assert.equal(details.lineups, null);
+    assert.equal(details.coaches, null);
+    assert.equal(details.referee, null);
+    assert.equal(details.halfTime, null);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseMatchEvents, parseMatchStats } from '../lib/parsers/parse_match_stats.js';
+
+const matchPage = await readFile(new URL('./fixtures/match.html', import.meta.url), 'utf8');
+
+test('parses the stats of a match page into home and away pairs', () => {
+    const stats = parseMatchStats(matchPage, '3 : 0');
+
+    assert.deepEqual(stats.possession, { home: 61, away: 39 });
+    assert.deepEqual(stats.xg, { home: 2.41, away: 0.38 });
+    assert.deepEqual(stats.shots, { home: 19, away: 6 });
+    assert.deepEqual(stats.shotsOnTarget, { home: 8, away: 1 });
+    assert.deepEqual(stats.corners, { home: 9, away: 2 });
+    assert.deepEqual(stats.fouls, { home: 11, away: 14 });
+    assert.deepEqual(stats.offsides, { home: 1, away: 3 });
+    assert.equal(stats.raw.possession, '61 : 39');
+});
+
+test('counts cards from the timeline, a second yellow as a yellow and a red', () => {
+    const stats = parseMatchStats(matchPage, '3 : 0');
+
+    assert.deepEqual(stats.yellowCards, { home: 1, away: 2 });
+    assert.deepEqual(stats.redCards, { home: 1, away: 1 });
+});
+
+test('accepts the score of an awarded match', () => {
+    assert.notEqual(parseMatchStats(matchPage, '3 : 0 AWD'), null);
+});
+
+test('returns null when the page shows another score', () => {
+    assert.equal(parseMatchStats(matchPage, '2 : 1'), null);
+});
+
+test('parses the timeline into events by the file name of their icon', () => {
+    const events = parseMatchEvents(matchPage);
+
+    assert.deepEqual(events.map(({ minute, addedTime, side, type }) => [minute, addedTime, side, type]), [
+        [12, null, 'home', 'goal'],
+        [34, null, 'home', 'yellowCard'],
+        [45, 1, 'home', 'penaltyGoal'],
+        [49, null, 'away', 'missedPenalty'],
+        [52, null, 'away', 'yellowCard'],
+        [64, null, 'away', 'substitution'],
+        [71, null, 'home', 'ownGoal'],
+        [78, null, 'away', 'secondYellow'],
+        [90, 2, 'home', 'redCard']
+    ]);
+    assert.equal(events[0].player, 'Cole Palmer');
+    assert.equal(events[0].assist, 'Nicolas Jackson');
+    assert.equal(events[5].player, 'Ross Barkley');
+    assert.equal(events[5].playerOut, 'Tahith Chong');
+});
+
+test('ignores timeline icons of unknown events', () => {
+    const html = `<div class="timeline_row">
+        <div class="timeline_team_a"><span class="d_v1"><span class="team_a_1">Cole Palmer</span> <img src="/images/red_star.png"></span></div>
+        <div class="timeline_minute">10'</div>
+    </div>`;
+
+    assert.deepEqual(parseMatchEvents(html), []);
+});
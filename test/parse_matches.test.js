@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseCurrentGameweek, parseGameweekMatches, parseMaxGameweeks, parseStageMatches } from '../lib/parsers/parse_matches.js';
+import { hasMatchResults } from '../lib/parsers/dom.js';
+
+const baseUrl = 'https://globalsportsarchive.com';
+const gameweekPage = await readFile(new URL('./fixtures/gameweek.html', import.meta.url), 'utf8');
+const stagePage = await readFile(new URL('./fixtures/knockout_stage.html', import.meta.url), 'utf8');
+
+test('reads the gameweek navigation', () => {
+    assert.equal(parseMaxGameweeks(gameweekPage), 38);
+    assert.equal(parseCurrentGameweek(gameweekPage), 3);
+    assert.equal(parseMaxGameweeks('<div></div>'), 1);
+    assert.equal(parseCurrentGameweek('<div></div>'), null);
+});
+
+test('parses the matches of a gameweek under their date headers', () => {
+    const matches = parseGameweekMatches(gameweekPage, baseUrl, { season: '2023/2024' });
+
+    assert.equal(matches.length, 5);
+    assert.deepEqual(matches[0], {
+        id: 2881011,
+        date: '2023-08-25',
+        dateHeader: 'Friday, 25 August 2023',
+        time: '20:00',
+        homeTeam: 'Chelsea FC',
+        awayTeam: 'Luton Town FC',
+        score: '3 : 0',
+        statsUrl: `${baseUrl}/match/soccer/2023-08-25/chelsea-fc-vs-luton-town-fc/2881011/`,
+        homeGoals: 3,
+        awayGoals: 0,
+        status: 'played',
+        kickoff: '2023-08-25T20:00:00.000Z'
+    });
+    assert.deepEqual(matches.map(m => m.date), ['2023-08-25', '2023-08-26', '2023-08-26', '2023-08-27', '2023-08-27']);
+});
+
+test('tells awarded, postponed and scheduled matches apart', () => {
+    const [, , awarded, postponed, scheduled] = parseGameweekMatches(gameweekPage, baseUrl, { season: '2023/2024' });
+
+    assert.equal(awarded.status, 'awarded');
+    assert.equal(awarded.awarded, true);
+    assert.equal(postponed.status, 'postponed');
+    assert.equal(postponed.kickoff, null);
+    assert.equal(scheduled.status, 'scheduled');
+    assert.equal(scheduled.homeGoals, null);
+});
+
+test('converts kick-offs from the configured timezone', () => {
+    const [match] = parseGameweekMatches(gameweekPage, baseUrl, { season: '2023/2024', timeZone: 'Europe/London' });
+    assert.equal(match.kickoff, '2023-08-25T19:00:00.000Z');
+});
+
+test('reports a page without a gameweek container', () => {
+    assert.deepEqual(parseGameweekMatches('<div></div>', baseUrl), { error: 'Missing #week_container' });
+});
+
+test('parses the matches of a knockout stage, skipping rows without teams', () => {
+    const matches = parseStageMatches(stagePage, baseUrl, { season: '2023/2024' });
+
+    assert.deepEqual(matches.map(m => [m.homeTeam, m.awayTeam, m.date]), [
+        ['Coventry City FC', 'Manchester United FC', '2024-04-20'],
+        ['Manchester City FC', 'Chelsea FC', '2024-04-21']
+    ]);
+    assert.equal(matches[0].homeGoals, 3);
+    assert.equal(matches[0].awayGoals, 3);
+});
+
+test('tells whether a page lists any result', () => {
+    assert.equal(hasMatchResults(gameweekPage), true);
+    assert.equal(hasMatchResults('<div class="gsa-c-match-c3">:</div>'), false);
+});
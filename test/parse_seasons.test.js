@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseSeasonOptions, parseStageOptions } from '../lib/parsers/parse_seasons.js';
+
+const seasonPage = await readFile(new URL('./fixtures/seasons.html', import.meta.url), 'utf8');
+
+test('parses the season drop-down, skipping options without a link', () => {
+    assert.deepEqual(parseSeasonOptions(seasonPage), [
+        { season: '2024', id: 98765, url: '/competition/soccer/allsvenskan-2024/regular-season/98765/' },
+        { season: '2023', id: 87654, url: '/competition/soccer/allsvenskan-2023/regular-season/87654/' },
+        { season: '2022', id: 76543, url: '/competition/soccer/allsvenskan-2022/regular-season/76543/' }
+    ]);
+});
+
+test('parses the stage drop-down apart from the season drop-down', () => {
+    assert.deepEqual(parseStageOptions(seasonPage), [
+        { stage: 'Regular Season', id: 87654, url: '/competition/soccer/allsvenskan-2023/regular-season/87654/' },
+        { stage: 'Relegation Play-offs', id: 87655, url: '/competition/soccer/allsvenskan-2023/relegation-play-offs/87655/' }
+    ]);
+});
+
+test('returns no options for a page without drop-downs', () => {
+    assert.deepEqual(parseSeasonOptions('<div></div>'), []);
+    assert.deepEqual(parseStageOptions('<div></div>'), []);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { groupStandings, parseStanding } from '../lib/parsers/parse_standing.js';
+
+const standingPage = await readFile(new URL('./fixtures/standing.html', import.meta.url), 'utf8');
+const groupsPage = await readFile(new URL('./fixtures/standing_groups.html', import.meta.url), 'utf8');
+
+test('parses the rows of a single standings table', () => {
+    const standings = parseStanding(standingPage);
+
+    assert.equal(standings.length, 4);
+    assert.deepEqual(standings[0], {
+        rank: '1',
+        team: 'Manchester City FC',
+        teamId: 2010,
+        group: null,
+        matchPlayed: 38,
+        won: 28,
+        draw: 7,
+        lost: 3,
+        goalsScored: 96,
+        goalsAllowed: 34,
+        goalDifference: 62,
+        points: 91
+    });
+    assert.equal(standings[3].goalDifference, -69);
+});
+
+test('labels the rows of each table with its title', () => {
+    const standings = parseStanding(groupsPage);
+
+    assert.deepEqual(standings.map(row => [row.group, row.team]), [
+        ['Eastern Conference', 'FC Cincinnati'],
+        ['Eastern Conference', 'Orlando City SC'],
+        ['Western Conference', 'St. Louis City SC'],
+        ['Western Conference', 'Seattle Sounders FC']
+    ]);
+    assert.deepEqual(groupStandings(standings).map(({ group, standings }) => [group, standings.length]), [
+        ['Eastern Conference', 2],
+        ['Western Conference', 2]
+    ]);
+});
+
+test('returns no rows for a page without standings', () => {
+    assert.deepEqual(parseStanding('<div></div>'), []);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSeasons } from '../lib/season_diff.js';
+
+const seasonOf = (match) => ({ season: '2023/2024', gameweeks: [{ gameweek: 1, matches: [{ id: 1, homeTeam: 'Chelsea FC', awayTeam: 'Luton Town FC', ...match }] }] });
+
+test('compares dates when only one run has a kickoff', () => {
+    const previous = seasonOf({ score: '3 : 0', date: '2023-12-30' });
+    const next = seasonOf({ score: '3 : 0', date: '2023-12-30', kickoff: '2023-12-30T15:00:00.000Z' });
+
+    assert.deepEqual(diffSeasons(previous, next), []);
+});
+
+test('flags a played match whose kickoff moved as unexpected', () => {
+    const previous = seasonOf({ score: '3 : 0', date: '2023-12-30', kickoff: '2023-12-30T15:00:00.000Z' });
+    const next = seasonOf({ score: '3 : 0', date: '2023-12-30', kickoff: '2023-12-30T17:30:00.000Z' });
+
+    assert.deepEqual(diffSeasons(previous, next).map(({ type, expected }) => [type, expected]), [['date', false]]);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import createSeasonOutput from '../lib/season_output.js';
+
+const tempFile = async () => path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'gsa-')), 'matches_1.json');
+
+test('writes season files and database rows once committed, as they were when written', async () => {
+    const file = await tempFile();
+    const saved = [];
+    const output = createSeasonOutput();
+    const database = output.database({ saveGameweeks: (gameweeks) => saved.push(gameweeks), stage: () => null });
+    const gameweeks = [{ gameweek: 1, matches: [{ score: '3 : 0' }] }];
+
+    output.saveJSON(file, gameweeks);
+    database.saveGameweeks(gameweeks);
+    gameweeks[0].matches[0].stats = {};
+    await assert.rejects(fs.access(file));
+    assert.equal(saved.length, 0);
+
+    await output.commit();
+    assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), [{ gameweek: 1, matches: [{ score: '3 : 0' }] }]);
+    assert.deepEqual(saved, [[{ gameweek: 1, matches: [{ score: '3 : 0' }] }]]);
+    await fs.rm(path.dirname(file), { recursive: true });
+});
+
+test('drops the outputs of a discarded season', async () => {
+    const file = await tempFile();
+    const output = createSeasonOutput();
+
+    output.saveJSON(file, []);
+    output.discard();
+    await output.commit();
+    await assert.rejects(fs.access(file));
+    await fs.rm(path.dirname(file), { recursive: true });
+});
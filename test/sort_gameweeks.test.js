@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortGameweeksByDate } from '../lib/sort_gameweeks.js';
+
+let nextId = 1;
+/**
+ * @param {number} gameweek
+ * @param {Array<string>} dates One match per date
+ */
+const roundOf = (gameweek, dates) => ({
+    gameweek,
+    matches: dates.map(date => ({ id: nextId++, date, time: '15:00', homeTeam: `Home ${nextId}`, awayTeam: `Away ${nextId}`, score: '1 : 0', statsUrl: '' }))
+});
+
+test('orders rounds by the median day of their matches and keeps the official round', () => {
+    const sorted = sortGameweeksByDate([
+        roundOf(1, ['2024-04-06', '2024-04-07']),
+        roundOf(2, ['2024-04-20', '2024-04-21']),
+        // Round 3 brought forward to midweek
+        roundOf(3, ['2024-04-10', '2024-04-10'])
+    ]);
+
+    assert.deepEqual(sorted.map(({ gameweek, round }) => [gameweek, round]), [[1, 1], [2, 3], [3, 2]]);
+    assert.deepEqual(sorted[1].matches.map(match => match.round), [3, 3]);
+});
+
+test('keeps a round in place when a postponed match is played weeks later, tagging it rescheduled', () => {
+    const sorted = sortGameweeksByDate([
+        roundOf(1, ['2024-04-06', '2024-04-06', '2024-04-07', '2024-05-15']),
+        roundOf(2, ['2024-04-13', '2024-04-14', '2024-04-14', '2024-04-21'])
+    ]);
+
+    assert.deepEqual(sorted.map(gw => gw.round), [1, 2]);
+    assert.deepEqual(sorted[0].matches.map(match => match.rescheduled), [false, false, false, true]);
+    // A match a week away from the rest of its round isn't rescheduled
+    assert.deepEqual(sorted[1].matches.map(match => match.rescheduled), [false, false, false, false]);
+});
+
+test('dates a round with an even number of matches by the earlier of its middle days', () => {
+    const sorted = sortGameweeksByDate([
+        roundOf(1, ['2024-04-06', '2024-04-28']),
+        roundOf(2, ['2024-04-13', '2024-04-14'])
+    ]);
+
+    assert.deepEqual(sorted.map(gw => gw.round), [1, 2]);
+    assert.deepEqual(sorted[0].matches.map(match => match.rescheduled), [false, true]);
+});
+
+test('keeps undated and empty rounds after the round before them', () => {
+    const sorted = sortGameweeksByDate([
+        roundOf(1, ['2024-04-06']),
+        roundOf(2, ['TBD']),
+        { gameweek: 3, matches: [] },
+        roundOf(4, ['2024-04-20'])
+    ]);
+
+    assert.deepEqual(sorted.map(({ gameweek, round }) => [gameweek, round]), [[1, 1], [2, 2], [3, 3], [4, 4]]);
+    assert.equal(sorted[1].matches[0].rescheduled, false);
+});
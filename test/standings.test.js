@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoundStandings, reconcileStandings } from '../lib/standings.js';
+
+const row = (team, teamId, { matchPlayed = 0, won = 0, lost = 0, goalsScored = 0, goalsAllowed = 0, points = 0 } = {}) => ({
+    rank: '', team, teamId, matchPlayed, won, draw: 0, lost, goalsScored, goalsAllowed, goalDifference: goalsScored - goalsAllowed, points
+});
+
+const gameweeks = [
+    { gameweek: 1, matches: [
+        { homeTeam: 'Arsenal FC', awayTeam: 'Fulham FC', homeTeamId: 1, awayTeamId: 2, score: '2 : 0' },
+        { homeTeam: 'Chelsea FC', awayTeam: 'Everton FC', homeTeamId: 3, score: ':' }
+    ] },
+    { gameweek: 2, matches: [{ homeTeam: 'Chelsea FC', awayTeam: 'Arsenal FC', homeTeamId: 3, awayTeamId: 1, score: ':' }] }
+];
+const scraped = [
+    row('Arsenal FC', 1, { matchPlayed: 1, won: 1, goalsScored: 2, points: 3 }),
+    row('Fulham FC', 2, { matchPlayed: 1, lost: 1, goalsAllowed: 2 }),
+    row('Chelsea FC', 3),
+    row('Everton FC', 4),
+    row('Luton Town FC', 5)
+];
+
+test('ranks teams without a result from the first gameweek', () => {
+    const [first] = buildRoundStandings(gameweeks, { teams: scraped });
+
+    assert.deepEqual(first.standings.map(r => [r.rank, r.team, r.matchPlayed]), [
+        ['1', 'Arsenal FC', 1],
+        ['2', 'Chelsea FC', 0],
+        ['3', 'Everton FC', 0],
+        ['4', 'Luton Town FC', 0],
+        ['5', 'Fulham FC', 1]
+    ]);
+});
+
+test('reports no mismatch for teams yet to play', () => {
+    const roundStandings = buildRoundStandings(gameweeks, { teams: scraped });
+    assert.deepEqual(reconcileStandings(roundStandings.at(-1).standings, scraped), []);
+});
+
+test('reports the matches of a team missing from the gameweeks', () => {
+    const standings = [...scraped.slice(0, 4), row('Luton Town FC', 5, { matchPlayed: 1, lost: 1, goalsAllowed: 1 })];
+    const roundStandings = buildRoundStandings(gameweeks, { teams: standings });
+    const [mismatch] = reconcileStandings(roundStandings.at(-1).standings, standings);
+
+    assert.equal(mismatch.team, 'Luton Town FC');
+    assert.equal(mismatch.cause, 'missing matches');
+});
@@ -25,6 +25,22 @@ export const saveJSON = async (filePath, data, append = false) => {
      .catch(err => console.error('Failed to write a file:', err.message, `[${filePath}]`));
 }
 
+/**
+ * Reads a JSON file, resolving to null when the file does not exist
+ * @param {string} filePath 
+ * @returns {Promise<any>}
+ */
+export const readJSON = async (filePath) => {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    }
+    catch (error) {
+        if (error.code === 'ENOENT') return null;
+        console.error('Failed to read a file:', error.message, `[${filePath}]`);
+        return null;
+    }
+}
+
 /** @param {Object | Array} obj */
 export const deepCopy = (obj) => JSON.parse(JSON.stringify(obj));
 